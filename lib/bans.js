@@ -0,0 +1,88 @@
+const crypto = require("crypto")
+
+// Lệnh cấm vào phòng, lưu cùng board:
+//   board.bans = [{ id, userId, username, ip, reason, bannedBy, createdAt, expiresAt }]
+//     userId là tài khoản bị cấm; ip chỉ có khi chủ phòng chọn cấm cả địa chỉ IP, khi đó
+//     mọi tài khoản vào từ IP đó đều bị chặn. expiresAt là mốc thời gian (ms) hoặc null nếu
+//     cấm vĩnh viễn. Lệnh đã hết hạn bị bỏ khi đọc danh sách.
+// Chủ phòng không bao giờ bị chặn, kể cả khi dùng chung IP với người bị cấm.
+const MAX_BANS = 500
+const MAX_BAN_DAYS = 365
+const MAX_BAN_REASON_LENGTH = 200
+const DAY = 24 * 60 * 60 * 1000
+
+// Board cũ chỉ có bannedIPs (từ kick-user ngày trước): chuyển thành lệnh cấm IP vĩnh viễn
+// không gắn với tài khoản nào. Trả về true nếu có chuyển, khi đó board cần được ghi lại.
+function upgradeBans(board) {
+	if (!board.bannedIPs) return false
+	board.bans = [...(board.bans || []), ...board.bannedIPs.map(ip => ({
+		id: crypto.randomUUID(), userId: null, username: null, ip,
+		reason: null, bannedBy: board.owner, createdAt: null, expiresAt: null
+	}))]
+	delete board.bannedIPs
+	return true
+}
+
+// Các lệnh cấm còn hiệu lực
+function activeBans(board, now = Date.now()) {
+	upgradeBans(board)
+	board.bans = (board.bans || []).filter(ban => ban.expiresAt === null || ban.expiresAt > now)
+	return board.bans
+}
+
+// Lệnh cấm đang chặn tài khoản `userId` vào từ `ip`, hoặc null
+function findBan(board, userId, ip) {
+	if (userId === board.owner) return null
+	return activeBans(board).find(ban => ban.userId === userId || (ban.ip && ban.ip === ip)) || null
+}
+
+// Lý do cấm đã cắt khoảng trắng: null nếu bỏ trống, undefined nếu không hợp lệ
+function normalizeBanReason(reason) {
+	if (reason === undefined || reason === null) return null
+	if (typeof reason !== "string") return undefined
+	return reason.trim().slice(0, MAX_BAN_REASON_LENGTH) || null
+}
+
+// Cấm `user` ({ id, username }), kèm `ip` nếu có. `duration` là số ms bị cấm, null là vĩnh viễn.
+// Lệnh cấm cũ của cùng tài khoản được thay bằng lệnh mới. Trả về { ban } hoặc { error }.
+function addBan(board, user, { ip = null, reason, duration = null, bannedBy }) {
+	if (duration !== null && !(Number.isFinite(duration) && duration > 0 && duration <= MAX_BAN_DAYS * DAY)) {
+		return { error: `Bans can last at most ${MAX_BAN_DAYS} days.` }
+	}
+	reason = normalizeBanReason(reason)
+	if (reason === undefined) {
+		return { error: "Invalid reason." }
+	}
+	const bans = activeBans(board).filter(ban => ban.userId !== user.id)
+	if (bans.length >= MAX_BANS) {
+		return { error: `A room can have at most ${MAX_BANS} bans.` }
+	}
+	const now = Date.now()
+	const ban = {
+		id: crypto.randomUUID(),
+		userId: user.id,
+		username: user.username,
+		ip,
+		reason,
+		bannedBy,
+		createdAt: now,
+		expiresAt: duration === null ? null : now + duration
+	}
+	bans.push(ban)
+	board.bans = bans
+	return { ban }
+}
+
+// Bỏ lệnh cấm; trả về false nếu không có lệnh đó
+function removeBan(board, banId) {
+	const bans = activeBans(board)
+	const index = bans.findIndex(ban => ban.id === banId)
+	if (index === -1) return false
+	bans.splice(index, 1)
+	return true
+}
+
+module.exports = {
+	MAX_BANS, MAX_BAN_DAYS, MAX_BAN_REASON_LENGTH,
+	upgradeBans, activeBans, findBan, addBan, removeBan
+}
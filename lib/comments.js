@@ -0,0 +1,95 @@
+const crypto = require("crypto")
+const CommentAnchor = require("../public/comment-anchor")
+const { getElement } = require("./pages")
+
+// Chat của phòng và các luồng bình luận ghim trên canvas, lưu cùng board:
+//   board.chat     = [{ id, userId, username, text, createdAt }], cũ nhất trước
+//   board.comments = { commentId: { id, pageId, authorId, anchor, resolved, createdAt, messages } }
+//     messages có cùng dạng với tin nhắn chat: messages[0] là bình luận gốc, sau đó là các trả lời.
+//     anchor là { x, y } trên trang, hoặc { x, y, strokeId, u, v } nếu gắn vào một phần tử
+//     (xem public/comment-anchor.js)
+//   board.reads    = { userId: { chat: thời điểm, commentId: thời điểm } } - mỗi người đã đọc
+//     tới tin nhắn nào, để client đếm số tin chưa đọc
+const CHAT_LIMIT = 500 // Tin chat giữ lại mỗi phòng, cũ hơn thì bỏ
+const MAX_MESSAGE_LENGTH = 2000
+const MAX_COMMENTS = 1000 // Số luồng bình luận mỗi board
+const MAX_REPLIES = 200 // Số trả lời mỗi luồng
+
+function chatOf(board) {
+	if (!board.chat) board.chat = []
+	return board.chat
+}
+
+function commentsOf(board) {
+	if (!board.comments) board.comments = {}
+	return board.comments
+}
+
+// Luồng `commentId`, hoặc null. Chỉ xét thuộc tính của chính board.comments vì ID do
+// client gửi lên, "__proto__" không được trả về Object.prototype.
+function findComment(board, commentId) {
+	const comments = commentsOf(board)
+	return Object.hasOwn(comments, commentId) ? comments[commentId] : null
+}
+
+function readsOf(board, userId) {
+	if (!board.reads) board.reads = {}
+	if (!board.reads[userId]) board.reads[userId] = {}
+	return board.reads[userId]
+}
+
+// Nội dung tin nhắn đã cắt khoảng trắng, undefined nếu rỗng hoặc không phải chuỗi
+function normalizeMessageText(text) {
+	if (typeof text !== "string") return undefined
+	return text.trim().slice(0, MAX_MESSAGE_LENGTH) || undefined
+}
+
+function newMessage(user, text) {
+	return { id: crypto.randomUUID(), userId: user.id, username: user.username, text, createdAt: Date.now() }
+}
+
+// Ghim tại `pos` trên trang, gắn vào phần tử `strokeId` nếu phần tử đó có trên trang.
+// Trả về null nếu vị trí không hợp lệ.
+function createAnchor(page, pos, strokeId) {
+	if (!pos || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return null
+	const element = typeof strokeId === "string" ? getElement(page, strokeId) : null
+	return CommentAnchor.create({ x: pos.x, y: pos.y }, element)
+}
+
+// Cập nhật vị trí các ghim gắn vào `strokeIds` sau khi các phần tử đó bị dời hay đổi hình,
+// để ghim vẫn nằm đúng chỗ cũ của phần tử nếu phần tử bị xóa sau này.
+// Trả về true nếu có ghim được cập nhật.
+function refreshAnchors(board, page, strokeIds) {
+	if (!board.comments) return false
+	const ids = new Set(strokeIds)
+	let refreshed = false
+	for (const comment of Object.values(board.comments)) {
+		const { anchor } = comment
+		const element = getElement(page, anchor.strokeId)
+		if (comment.pageId !== page.id || !ids.has(anchor.strokeId) || !element) continue
+		Object.assign(anchor, CommentAnchor.position(anchor, element))
+		refreshed = true
+	}
+	return refreshed
+}
+
+// Xóa một luồng cùng dấu đã đọc của mọi người cho luồng đó
+function deleteComment(board, commentId) {
+	delete commentsOf(board)[commentId]
+	for (const reads of Object.values(board.reads || {})) {
+		delete reads[commentId]
+	}
+}
+
+// Bình luận của một trang bị xóa
+function deletePageComments(board, pageId) {
+	for (const comment of Object.values(commentsOf(board))) {
+		if (comment.pageId === pageId) deleteComment(board, comment.id)
+	}
+}
+
+module.exports = {
+	CHAT_LIMIT, MAX_MESSAGE_LENGTH, MAX_COMMENTS, MAX_REPLIES,
+	chatOf, commentsOf, findComment, readsOf, normalizeMessageText, newMessage,
+	createAnchor, refreshAnchors, deleteComment, deletePageComments
+}
@@ -0,0 +1,115 @@
+const crypto = require("crypto")
+const { sanitizeElement, sortByZ } = require("./elements")
+const { MAX_PAGES } = require("./pages")
+
+// Định dạng tài liệu board dùng để xuất/nhập (xem docs/board-format.md).
+// Chỉ gồm nội dung và thông tin mô tả board, không có dữ liệu lúc chạy
+// như thành viên, socketId, lệnh cấm hay lịch sử undo.
+const DOCUMENT_FORMAT = "vdraw-board"
+const DOCUMENT_VERSION = 2
+const MAX_DOCUMENT_ELEMENTS = 50000 // Tính trên mọi trang
+const DATA_URI = /^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/]*={0,2})$/
+
+// MIGRATIONS[n] nâng tài liệu phiên bản n lên n + 1. Khi đổi định dạng:
+// tăng DOCUMENT_VERSION, thêm một bước vào đây, cập nhật schema và tài liệu.
+const MIGRATIONS = {
+	// Phiên bản 0 là file board nội bộ (data/boards/<ROOM>.json) từ trước khi có định dạng này
+	0: (board) => ({
+		format: DOCUMENT_FORMAT,
+		version: 1,
+		board: { title: board.title || null, createdAt: board.createdAt, lastModified: board.lastModified },
+		elements: sortByZ(board.strokes),
+		assets: {}
+	}),
+	// Phiên bản 2 chia phần tử thành các trang; tài liệu cũ thành một trang
+	1: ({ elements, ...doc }) => ({ ...doc, version: 2, pages: [{ title: null, elements }] })
+}
+
+// Tài liệu của một board; `assetHrefs` là Map assetId -> data URI của ảnh
+function toDocument(board, assetHrefs = new Map()) {
+	const pages = board.pages.map(page => ({
+		title: page.title,
+		elements: sortByZ(page.strokes).map(({ authorId, z, ...element }) => element)
+	}))
+	const assets = {}
+	for (const [assetId, href] of assetHrefs) {
+		if (href) assets[assetId] = href
+	}
+	return {
+		format: DOCUMENT_FORMAT,
+		version: DOCUMENT_VERSION,
+		exportedAt: new Date().toISOString(),
+		board: { title: board.title || null, createdAt: board.createdAt, lastModified: board.lastModified },
+		pages,
+		assets
+	}
+}
+
+// Phiên bản của dữ liệu, hoặc null nếu không nhận ra
+function documentVersion(data) {
+	if (!data || typeof data !== "object" || Array.isArray(data)) return null
+	// Phiên bản 0 chỉ là file board nội bộ, không có `format`
+	if (data.format === DOCUMENT_FORMAT) return Number.isInteger(data.version) && data.version >= 1 ? data.version : null
+	if (data.strokes && typeof data.strokes === "object" && !Array.isArray(data.strokes)) return 0
+	return null
+}
+
+// Kiểm tra và làm sạch tài liệu nhập vào, nâng cấp nếu là phiên bản cũ.
+// Trả về { title, pages, assets } hoặc { error }; `pages` là [{ title, elements }] và mọi
+// phần tử được cấp ID mới, `assets` là [{ assetId, mime, buffer }] của các ảnh nhúng
+// trong tài liệu. Tiêu đề board và trang chưa được kiểm tra, nơi gọi tự làm sạch.
+function parseDocument(data) {
+	let version = documentVersion(data)
+	if (version === null) {
+		return { error: "Not a vDraw board file." }
+	}
+	if (version > DOCUMENT_VERSION) {
+		return { error: "This board file is from a newer version of vDraw." }
+	}
+	let doc = data
+	while (version < DOCUMENT_VERSION) {
+		if (!MIGRATIONS[version]) {
+			return { error: "Not a vDraw board file." }
+		}
+		doc = MIGRATIONS[version](doc)
+		version++
+	}
+
+	if (!Array.isArray(doc.pages) || !doc.pages.length
+		|| doc.pages.some(page => !page || typeof page !== "object" || !Array.isArray(page.elements))) {
+		return { error: "Board file has no pages." }
+	}
+	if (doc.pages.length > MAX_PAGES) {
+		return { error: `Board file has more than ${MAX_PAGES} pages.` }
+	}
+	if (doc.pages.reduce((sum, page) => sum + page.elements.length, 0) > MAX_DOCUMENT_ELEMENTS) {
+		return { error: `Board file has more than ${MAX_DOCUMENT_ELEMENTS} elements.` }
+	}
+	const pages = []
+	for (let p = 0; p < doc.pages.length; p++) {
+		const elements = []
+		for (let i = 0; i < doc.pages[p].elements.length; i++) {
+			const { element, error } = sanitizeElement(doc.pages[p].elements[i])
+			if (error) {
+				return { error: `Page ${p + 1}, element ${i + 1}: ${error}` }
+			}
+			// Board nhập vào là phòng mới, thứ tự trong mảng là thứ tự vẽ
+			elements.push({ ...element, id: crypto.randomUUID(), z: i })
+		}
+		pages.push({ title: doc.pages[p].title, elements })
+	}
+
+	const assets = []
+	const embedded = doc.assets && typeof doc.assets === "object" ? doc.assets : {}
+	for (const [assetId, href] of Object.entries(embedded)) {
+		const match = typeof href === "string" && href.match(DATA_URI)
+		if (!match) {
+			return { error: `Image ${assetId} is not a supported data URI.` }
+		}
+		assets.push({ assetId, mime: match[1], buffer: Buffer.from(match[2], "base64") })
+	}
+	const title = doc.board && typeof doc.board === "object" ? doc.board.title : null
+	return { title, pages, assets }
+}
+
+module.exports = { DOCUMENT_FORMAT, DOCUMENT_VERSION, toDocument, parseDocument }
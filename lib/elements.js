@@ -0,0 +1,296 @@
+// Mô hình phần tử trên board (lưu trong strokes của từng trang, xem lib/pages.js).
+// Mọi phần tử đều có { id, type, color, size, points }:
+//   - "stroke": nét vẽ tay, points là toàn bộ đường vẽ
+//   - "rect", "ellipse", "line", "arrow": hình, points là [điểm đầu, điểm cuối]
+//   - "text", "sticky": chữ và ghi chú dán, points là hai góc của khung chữ,
+//     thêm { text, fontSize, background }
+//   - "image": ảnh đã tải lên, points là hai góc của ảnh, thêm { assetId }
+// Nét cũ không có `type` được coi là "stroke".
+// Khung chữ nhật, ellipse, chữ và ảnh có thêm `rotation` (radian, xoay quanh tâm khung);
+// các loại còn lại xoay bằng cách xoay thẳng các điểm.
+// `z` là thứ tự vẽ, số lớn nằm trên; phần tử cũ chưa có `z` giữ thứ tự key trong strokes của trang.
+
+const MAX_STROKE_POINTS = 20000 // Giới hạn số điểm của một nét
+const MAX_TEXT_LENGTH = 5000 // Giới hạn số ký tự của một khung chữ
+const ELEMENT_TYPES = ["stroke", "rect", "ellipse", "line", "arrow", "text", "sticky", "image"]
+const SHAPE_TYPES = ["rect", "ellipse", "line", "arrow"]
+const TEXT_TYPES = ["text", "sticky"]
+// Các loại phần tử vẽ trong một khung chữ nhật, points là [góc, góc đối diện]
+const BOX_TYPES = [...SHAPE_TYPES, ...TEXT_TYPES, "image"]
+const FILLABLE_TYPES = ["rect", "ellipse"]
+const ROTATABLE_TYPES = ["rect", "ellipse", "text", "sticky", "image"]
+const MIN_SCALE = 0.01
+const MAX_SCALE = 100
+const STROKE_STYLES = ["solid", "dashed"]
+const DEFAULT_COLOR = "#000000"
+const DEFAULT_SIZE = 5
+const DEFAULT_FONT_SIZE = 20
+const DEFAULT_STICKY_BACKGROUND = "#fff59d"
+// Các trường sửa được qua update-element
+const EDITABLE_FIELDS = ["text", "fontSize", "color", "background", "points"]
+
+function isColor(value) {
+	return typeof value === "string" && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)
+}
+
+function clamp(value, min, max) {
+	return Math.min(max, Math.max(min, value))
+}
+
+function elementType(element) {
+	return element.type || "stroke"
+}
+
+// Chỉ giữ lại các điểm {x, y} hợp lệ
+function sanitizePoints(points) {
+	if (!Array.isArray(points)) return []
+	return points
+		.filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y))
+		.map(p => ({ x: p.x, y: p.y }))
+}
+
+// Kiểm tra và làm sạch phần tử client gửi lên.
+// Trả về { element } hoặc { error }. Không kiểm tra `id` (do nơi gọi lo).
+function sanitizeElement(data, { allowIncomplete = false } = {}) {
+	if (!data || typeof data !== "object") {
+		return { error: "Invalid element." }
+	}
+	const type = data.type === undefined ? "stroke" : data.type
+	if (!ELEMENT_TYPES.includes(type)) {
+		return { error: "Unknown element type." }
+	}
+	const points = sanitizePoints(data.points).slice(0, MAX_STROKE_POINTS)
+	// Nét đang vẽ dở (stroke-begin) được phép có ít điểm
+	if (BOX_TYPES.includes(type) && points.length !== 2) {
+		return { error: "Shapes need exactly two points." }
+	}
+	if (!allowIncomplete && type === "stroke" && points.length === 0) {
+		return { error: "Stroke has no points." }
+	}
+
+	// assetId là hash sha256 của ảnh, xem storage/asset-store.js
+	if (type === "image" && !(typeof data.assetId === "string" && /^[0-9a-f]{64}$/.test(data.assetId))) {
+		return { error: "Invalid image." }
+	}
+
+	const element = {
+		id: data.id,
+		type,
+		color: isColor(data.color) ? data.color : DEFAULT_COLOR,
+		size: Number.isFinite(data.size) ? clamp(data.size, 1, 100) : DEFAULT_SIZE,
+		points,
+		strokeStyle: STROKE_STYLES.includes(data.strokeStyle) ? data.strokeStyle : "solid",
+		opacity: Number.isFinite(data.opacity) ? clamp(data.opacity, 0.05, 1) : 1
+	}
+	if (FILLABLE_TYPES.includes(type)) {
+		element.fill = isColor(data.fill) ? data.fill : null
+	}
+	if (TEXT_TYPES.includes(type)) {
+		element.text = typeof data.text === "string" ? data.text.slice(0, MAX_TEXT_LENGTH) : ""
+		element.fontSize = Number.isFinite(data.fontSize) ? clamp(data.fontSize, 8, 200) : DEFAULT_FONT_SIZE
+		element.background = isColor(data.background) ? data.background
+			: type === "sticky" ? DEFAULT_STICKY_BACKGROUND : null
+	}
+	if (type === "image") {
+		element.assetId = data.assetId
+	}
+	if (ROTATABLE_TYPES.includes(type)) {
+		element.rotation = Number.isFinite(data.rotation) ? normalizeAngle(data.rotation) : 0
+	}
+	// Nơi gọi quyết định có giữ z client gửi hay không
+	if (Number.isFinite(data.z)) {
+		element.z = data.z
+	}
+	return { element }
+}
+
+// Các ảnh một board đang dùng, kể cả ảnh nằm trong lịch sử undo/redo và ảnh thu nhỏ
+function collectAssetIds(board, used = new Set()) {
+	const visit = (element) => {
+		if (element && element.type === "image") used.add(element.assetId)
+	}
+	for (const page of board.pages || []) Object.values(page.strokes || {}).forEach(visit)
+	if (board.thumbnail) used.add(board.thumbnail)
+	for (const history of Object.values(board.history || {})) {
+		for (const entry of [...history.undo, ...history.redo]) {
+			if (entry.type === "delete" || entry.type === "replace") entry.strokes.forEach(visit)
+		}
+	}
+	return used
+}
+
+// Làm sạch các trường client muốn sửa trên phần tử có sẵn.
+// Trả về { changes } chỉ gồm các trường hợp lệ với loại phần tử đó, hoặc { error }.
+function sanitizeChanges(element, changes) {
+	if (!changes || typeof changes !== "object") {
+		return { error: "Invalid changes." }
+	}
+	const fields = EDITABLE_FIELDS.filter(field => changes[field] !== undefined)
+	const merged = { ...element }
+	for (const field of fields) merged[field] = changes[field]
+	const { element: clean, error } = sanitizeElement(merged)
+	if (error) return { error }
+	const result = {}
+	for (const field of fields) {
+		if (field in clean) result[field] = clean[field]
+	}
+	if (!Object.keys(result).length) {
+		return { error: "Nothing to change." }
+	}
+	return { changes: result }
+}
+
+function translateElement(element, dx, dy) {
+	if (!Array.isArray(element.points)) return
+	for (const p of element.points) {
+		p.x += dx; p.y += dy;
+	}
+}
+
+// Góc trong khoảng (-PI, PI]
+function normalizeAngle(angle) {
+	const turn = Math.PI * 2
+	angle %= turn
+	if (angle <= -Math.PI) angle += turn
+	if (angle > Math.PI) angle -= turn
+	return angle
+}
+
+// Phép biến đổi một vùng chọn: co giãn (scaleX, scaleY) rồi xoay (rotation)
+// quanh `origin`, sau đó dịch (dx, dy). Trả về { transform } đủ các trường hoặc { error }.
+function normalizeTransform(data) {
+	if (!data || typeof data !== "object") {
+		return { error: "Invalid transform." }
+	}
+	const origin = data.origin || { x: 0, y: 0 }
+	const transform = {
+		dx: data.dx === undefined ? 0 : data.dx,
+		dy: data.dy === undefined ? 0 : data.dy,
+		scaleX: data.scaleX === undefined ? 1 : data.scaleX,
+		scaleY: data.scaleY === undefined ? 1 : data.scaleY,
+		rotation: data.rotation === undefined ? 0 : data.rotation,
+		origin: { x: origin.x, y: origin.y }
+	}
+	const numbers = [transform.dx, transform.dy, transform.scaleX, transform.scaleY, transform.rotation, origin.x, origin.y]
+	if (!numbers.every(Number.isFinite)) {
+		return { error: "Invalid transform." }
+	}
+	if ([transform.scaleX, transform.scaleY].some(s => s < MIN_SCALE || s > MAX_SCALE)) {
+		return { error: "Scale is out of range." }
+	}
+	transform.rotation = normalizeAngle(transform.rotation)
+	return { transform }
+}
+
+function isTranslation(transform) {
+	return transform.scaleX === 1 && transform.scaleY === 1 && transform.rotation === 0
+}
+
+function transformPoint(p, t) {
+	const x = (p.x - t.origin.x) * t.scaleX
+	const y = (p.y - t.origin.y) * t.scaleY
+	const cos = Math.cos(t.rotation)
+	const sin = Math.sin(t.rotation)
+	return { x: t.origin.x + x * cos - y * sin + t.dx, y: t.origin.y + x * sin + y * cos + t.dy }
+}
+
+// Client (public/board.js) dùng đúng công thức này để mọi người ra cùng một kết quả
+function transformElement(element, t) {
+	if (!Array.isArray(element.points)) return
+	if (isTranslation(t)) {
+		translateElement(element, t.dx, t.dy)
+		return
+	}
+	if (!ROTATABLE_TYPES.includes(elementType(element))) {
+		element.points = element.points.map(p => transformPoint(p, t))
+		return
+	}
+	// Khung: biến đổi tâm, co giãn cạnh theo trục của chính khung, cộng thêm góc xoay
+	const [a, b] = element.points
+	const rotation = element.rotation || 0
+	const center = transformPoint({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, t)
+	const cos = Math.cos(rotation)
+	const sin = Math.sin(rotation)
+	const halfW = Math.abs(b.x - a.x) / 2 * Math.hypot(t.scaleX * cos, t.scaleY * sin)
+	const halfH = Math.abs(b.y - a.y) / 2 * Math.hypot(t.scaleX * sin, t.scaleY * cos)
+	element.points = [
+		{ x: center.x - halfW, y: center.y - halfH },
+		{ x: center.x + halfW, y: center.y + halfH }
+	]
+	element.rotation = normalizeAngle(rotation + t.rotation)
+}
+
+// Bản sao vị trí/hình dạng của phần tử, để lưu vào lịch sử
+function geometryOf(element) {
+	const geometry = { points: structuredClone(element.points) }
+	if (ROTATABLE_TYPES.includes(elementType(element))) geometry.rotation = element.rotation || 0
+	return geometry
+}
+
+// Các phần tử theo thứ tự vẽ (dưới -> trên)
+function sortByZ(strokes) {
+	return Object.values(strokes).sort((a, b) => (a.z || 0) - (b.z || 0))
+}
+
+function nextZ(strokes) {
+	let max = -1
+	for (const id in strokes) {
+		if ((strokes[id].z || 0) > max) max = strokes[id].z || 0
+	}
+	return max + 1
+}
+
+// Đưa các phần tử `ids` lên/xuống: "forward", "backward" (một bậc), "front", "back".
+// Đánh số lại z theo thứ tự mới, trả về { [id]: { z } } cho các phần tử bị đổi.
+function reorderElements(strokes, ids, direction) {
+	const selected = new Set(ids)
+	const order = sortByZ(strokes)
+	const swap = (i, j) => { [order[i], order[j]] = [order[j], order[i]] }
+	let next = order
+	if (direction === "front") {
+		next = [...order.filter(el => !selected.has(el.id)), ...order.filter(el => selected.has(el.id))]
+	} else if (direction === "back") {
+		next = [...order.filter(el => selected.has(el.id)), ...order.filter(el => !selected.has(el.id))]
+	} else if (direction === "forward") {
+		// Đi từ trên xuống để một nhóm liền nhau cùng lên một bậc
+		for (let i = order.length - 2; i >= 0; i--) {
+			if (selected.has(order[i].id) && !selected.has(order[i + 1].id)) swap(i, i + 1)
+		}
+	} else if (direction === "backward") {
+		for (let i = 1; i < order.length; i++) {
+			if (selected.has(order[i].id) && !selected.has(order[i - 1].id)) swap(i, i - 1)
+		}
+	} else {
+		return null
+	}
+	const changes = {}
+	next.forEach((el, index) => {
+		if (el.z !== index) changes[el.id] = { z: index }
+	})
+	return changes
+}
+
+module.exports = {
+	MAX_STROKE_POINTS,
+	ELEMENT_TYPES,
+	SHAPE_TYPES,
+	TEXT_TYPES,
+	BOX_TYPES,
+	FILLABLE_TYPES,
+	ROTATABLE_TYPES,
+	STROKE_STYLES,
+	isColor,
+	elementType,
+	sanitizePoints,
+	sanitizeElement,
+	sanitizeChanges,
+	collectAssetIds,
+	translateElement,
+	normalizeTransform,
+	isTranslation,
+	transformElement,
+	geometryOf,
+	sortByZ,
+	nextZ,
+	reorderElements
+}
@@ -0,0 +1,91 @@
+const fs = require("fs")
+const zlib = require("zlib")
+const BoardExport = require("../public/board-export")
+const { toDocument } = require("./document")
+const { findPage, allElements } = require("./pages")
+
+// Xuất board ra file mà không cần trình duyệt.
+// SVG dựng trực tiếp từ phần tử của một trang; PNG và PDF vẽ lại SVG đó bằng resvg.
+// JSON là tài liệu board để nhập lại được (lib/document.js), gồm mọi trang.
+const EXPORT_FORMATS = {
+	json: "application/json",
+	svg: "image/svg+xml",
+	png: "image/png",
+	pdf: "application/pdf"
+}
+const MAX_EXPORT_PIXELS = 8192 // Cạnh dài nhất của ảnh PNG/PDF
+const EXPORT_SCALE = 2 // Điểm ảnh trên mỗi đơn vị của board, để chữ và nét không bị mờ
+const EXPORT_PADDING = 20 // Lề quanh nội dung board
+const MAX_PDF_PAGE = 14400 // Khổ trang PDF lớn nhất (200 inch, tính bằng point)
+
+// Ảnh trong board được nhúng thẳng vào SVG để file tự đủ
+async function embedImages(elements, assets) {
+	const hrefs = new Map()
+	for (const el of elements) {
+		if (el.type !== "image" || hrefs.has(el.assetId)) continue
+		const asset = await assets.find(el.assetId)
+		hrefs.set(el.assetId, asset ? `data:${asset.mime};base64,${(await fs.promises.readFile(asset.file)).toString("base64")}` : null)
+	}
+	return hrefs
+}
+
+// Nạp lười để không bắt buộc cài @resvg/resvg-js khi chỉ xuất SVG
+function loadResvg() {
+	try {
+		return require("@resvg/resvg-js").Resvg
+	} catch (err) {
+		if (err.code !== "MODULE_NOT_FOUND") throw err
+		const error = new Error("PNG and PDF export require @resvg/resvg-js.")
+		error.code = "EXPORT_UNAVAILABLE"
+		throw error
+	}
+}
+
+function rasterize(svg, width, height) {
+	const Resvg = loadResvg()
+	const scale = Math.min(EXPORT_SCALE, MAX_EXPORT_PIXELS / Math.max(width, height, 1))
+	const resvg = new Resvg(svg, {
+		fitTo: { mode: "zoom", value: scale },
+		font: { loadSystemFonts: true, defaultFontFamily: "sans-serif" }
+	})
+	return resvg.render()
+}
+
+// PDF một trang chứa ảnh đã vẽ, khổ trang bằng kích thước board (1 đơn vị = 0.75pt như 1px CSS)
+function toPdf(rendered, width, height) {
+	const points = Math.min(0.75, MAX_PDF_PAGE / Math.max(width, height, 1))
+	const { pixels } = rendered
+	const rgb = Buffer.alloc(rendered.width * rendered.height * 3)
+	for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+		rgb[j] = pixels[i]
+		rgb[j + 1] = pixels[i + 1]
+		rgb[j + 2] = pixels[i + 2]
+	}
+	const image = { width: rendered.width, height: rendered.height, data: zlib.deflateSync(rgb), filter: "FlateDecode" }
+	return Buffer.from(BoardExport.pdf(image, { width: width * points, height: height * points }))
+}
+
+// Nội dung file xuất của board theo `format` (một khóa của EXPORT_FORMATS);
+// `pageId` là trang cần xuất ra ảnh, mặc định trang đầu
+async function exportBoard(board, format, { assets, pageId }) {
+	if (format === "json") {
+		const document = toDocument(board, await embedImages(allElements(board), assets))
+		return Buffer.from(JSON.stringify(document, null, "\t"))
+	}
+	const page = (pageId && findPage(board, pageId)) || board.pages[0]
+	const elements = Object.values(page.strokes)
+	const content = BoardExport.bounds(elements) || { x: 0, y: 0, w: 0, h: 0 }
+	const bounds = {
+		x: content.x - EXPORT_PADDING,
+		y: content.y - EXPORT_PADDING,
+		w: content.w + EXPORT_PADDING * 2,
+		h: content.h + EXPORT_PADDING * 2
+	}
+	const hrefs = await embedImages(elements, assets)
+	const svg = BoardExport.svg(elements, { bounds, imageHref: assetId => hrefs.get(assetId) })
+	if (format === "svg") return Buffer.from(svg)
+	const rendered = rasterize(svg, bounds.w, bounds.h)
+	return format === "png" ? rendered.asPng() : toPdf(rendered, bounds.w, bounds.h)
+}
+
+module.exports = { EXPORT_FORMATS, exportBoard }
@@ -0,0 +1,73 @@
+const crypto = require("crypto")
+
+// Link mời vào phòng, lưu cùng board:
+//   board.invites = [{ token, role, createdBy, createdAt, expiresAt, maxUses, uses }]
+//     expiresAt là mốc thời gian (ms) hoặc null nếu không hết hạn, maxUses là số lần dùng
+//     tối đa hoặc null nếu không giới hạn. Link hết hạn hoặc hết lượt bị bỏ khi đọc danh sách.
+// Link có dạng /board.html?room=<roomId>&invite=<token>; người chưa là thành viên vào phòng
+// bằng link thì nhận vai trò `role` của link.
+const INVITE_ROLES = ["editor", "viewer"]
+const MAX_INVITES = 50 // Số link còn dùng được mỗi phòng
+const MAX_INVITE_USES = 1000
+const MAX_INVITE_DAYS = 30
+const DAY = 24 * 60 * 60 * 1000
+
+function isUsable(invite, now) {
+	return (invite.expiresAt === null || invite.expiresAt > now)
+		&& (invite.maxUses === null || invite.uses < invite.maxUses)
+}
+
+// Các link còn dùng được, bỏ luôn những link đã hết hạn hoặc hết lượt khỏi board
+function activeInvites(board, now = Date.now()) {
+	board.invites = (board.invites || []).filter(invite => isUsable(invite, now))
+	return board.invites
+}
+
+function findInvite(board, token) {
+	if (typeof token !== "string" || !token) return null
+	return activeInvites(board).find(invite => invite.token === token) || null
+}
+
+// Tạo link mới của `user`. `expiresIn` là số ms link còn dùng được, `maxUses` là số lần
+// dùng tối đa; bỏ trống hoặc null là không giới hạn. Trả về { invite } hoặc { error }.
+function createInvite(board, user, { role, expiresIn = null, maxUses = null }) {
+	if (!INVITE_ROLES.includes(role)) {
+		return { error: "Invalid role." }
+	}
+	if (expiresIn !== null && !(Number.isFinite(expiresIn) && expiresIn > 0 && expiresIn <= MAX_INVITE_DAYS * DAY)) {
+		return { error: `Invite links can last at most ${MAX_INVITE_DAYS} days.` }
+	}
+	if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+		return { error: `Invite links can be used at most ${MAX_INVITE_USES} times.` }
+	}
+	const invites = activeInvites(board)
+	if (invites.length >= MAX_INVITES) {
+		return { error: `A room can have at most ${MAX_INVITES} invite links.` }
+	}
+	const now = Date.now()
+	const invite = {
+		token: crypto.randomBytes(18).toString("base64url"),
+		role,
+		createdBy: user.id,
+		createdAt: now,
+		expiresAt: expiresIn === null ? null : now + expiresIn,
+		maxUses,
+		uses: 0
+	}
+	invites.push(invite)
+	return { invite }
+}
+
+// Thu hồi link; trả về false nếu không có link đó
+function revokeInvite(board, token) {
+	const invites = activeInvites(board)
+	const index = invites.findIndex(invite => invite.token === token)
+	if (index === -1) return false
+	invites.splice(index, 1)
+	return true
+}
+
+module.exports = {
+	INVITE_ROLES, MAX_INVITES, MAX_INVITE_USES, MAX_INVITE_DAYS,
+	activeInvites, findInvite, createInvite, revokeInvite
+}
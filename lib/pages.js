@@ -0,0 +1,65 @@
+// Board gồm nhiều trang, mỗi trang là một canvas vô hạn với phần tử riêng:
+// board.pages = [{ id, title, strokes }], thứ tự trong mảng là thứ tự trang.
+// ID phần tử là duy nhất trong cả board chứ không chỉ trong một trang.
+const DEFAULT_PAGE_ID = "page-1" // Trang của board cũ từ trước khi có nhiều trang
+const MAX_PAGES = 100
+const MAX_PAGE_TITLE_LENGTH = 100
+
+function defaultPageTitle(index) {
+	return `Page ${index + 1}`
+}
+
+// Board cũ chỉ có board.strokes: chuyển thành trang 1, và gắn trang đó cho các bước
+// undo/redo đã lưu. Sửa tại chỗ và trả về board; board đã có trang thì giữ nguyên.
+// Bản tóm tắt hoặc metadata không kèm phần tử vẫn được cấp trang, với strokes rỗng.
+function upgradeBoard(board) {
+	if (!Array.isArray(board.pages) || !board.pages.length) {
+		board.pages = [{ id: DEFAULT_PAGE_ID, title: defaultPageTitle(0), strokes: board.strokes || {} }]
+		for (const history of Object.values(board.history || {})) {
+			for (const entry of [...history.undo, ...history.redo]) {
+				if (!entry.pageId) entry.pageId = DEFAULT_PAGE_ID
+			}
+		}
+	}
+	for (const page of board.pages) {
+		if (!page.strokes) page.strokes = {}
+	}
+	delete board.strokes
+	return board
+}
+
+function findPage(board, pageId) {
+	return board.pages.find(page => page.id === pageId) || null
+}
+
+// Phần tử `strokeId` của trang, hoặc null. ID do client gửi lên nên chỉ xét thuộc tính
+// của chính page.strokes, không thì "__proto__" sẽ trả về Object.prototype.
+function getElement(page, strokeId) {
+	return Object.hasOwn(page.strokes, strokeId) ? page.strokes[strokeId] : null
+}
+
+// Trang đang chứa phần tử `strokeId`, hoặc null
+function findPageOf(board, strokeId) {
+	return board.pages.find(page => getElement(page, strokeId)) || null
+}
+
+// Danh sách trang không kèm phần tử, để gửi cho client và lưu cùng metadata
+function pageList(board) {
+	return board.pages.map(({ id, title }) => ({ id, title }))
+}
+
+// Mọi phần tử của board, trang đầu trước
+function allElements(board) {
+	return board.pages.flatMap(page => Object.values(page.strokes))
+}
+
+// Tên trang đã cắt khoảng trắng, undefined nếu không hợp lệ
+function normalizePageTitle(title) {
+	if (typeof title !== "string") return undefined
+	return title.trim().slice(0, MAX_PAGE_TITLE_LENGTH) || undefined
+}
+
+module.exports = {
+	DEFAULT_PAGE_ID, MAX_PAGES, MAX_PAGE_TITLE_LENGTH,
+	defaultPageTitle, upgradeBoard, findPage, getElement, findPageOf, pageList, allElements, normalizePageTitle
+}
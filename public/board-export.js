@@ -0,0 +1,222 @@
+// Board export shared by the export menu in board.js and the server's export
+// route (lib/export.js): SVG serialisation of board elements and a minimal
+// single-image PDF writer. SVG keeps world coordinates and each element's
+// type, colours and sizes, so nothing is rasterised.
+const BoardExport = (() => {
+	const LINE_HEIGHT = 1.3; // Same as drawText in board.js
+	const STICKY_PADDING = 12;
+	const PLACEHOLDER = { fill: '#f0f0f0', stroke: '#cccccc' };
+
+	function escapeXml(value) {
+		return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+	}
+
+	function num(n) {
+		return Math.round(n * 100) / 100;
+	}
+
+	function rectFromPoints(a, b) {
+		return { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(a.x - b.x), h: Math.abs(a.y - b.y) };
+	}
+
+	function isDrawable(el) {
+		return el && Array.isArray(el.points) && el.points.length >= 2;
+	}
+
+	// Bounding box of the elements including line width and rotation, or null if there are none
+	function bounds(elements) {
+		let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+		for (const el of elements) {
+			if (!isDrawable(el)) continue;
+			let points = el.points;
+			if (el.rotation) {
+				const [a, b] = el.points;
+				const cx = (a.x + b.x) / 2, cy = (a.y + b.y) / 2;
+				const cos = Math.cos(el.rotation), sin = Math.sin(el.rotation);
+				points = [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }].map(p => ({
+					x: cx + (p.x - cx) * cos - (p.y - cy) * sin,
+					y: cy + (p.x - cx) * sin + (p.y - cy) * cos
+				}));
+			}
+			const pad = el.type === 'arrow' ? Math.max(10, el.size * 3) : (el.size || 0) / 2;
+			for (const p of points) {
+				minX = Math.min(minX, p.x - pad);
+				minY = Math.min(minY, p.y - pad);
+				maxX = Math.max(maxX, p.x + pad);
+				maxY = Math.max(maxY, p.y + pad);
+			}
+		}
+		if (minX === Infinity) return null;
+		return { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+	}
+
+	// Rough text width for when no canvas is available to measure with
+	function estimateWidth(text, fontSize) {
+		return text.length * fontSize * 0.55;
+	}
+
+	// Word-wrap like layoutText in board.js; `measure(text, fontSize)` returns a width
+	function wrapText(el, measure = estimateWidth) {
+		const padding = el.type === 'sticky' ? STICKY_PADDING : 0;
+		const width = Math.abs(el.points[1].x - el.points[0].x) - padding * 2;
+		const lines = [];
+		for (const paragraph of String(el.text || '').split('\n')) {
+			let line = '';
+			for (const word of paragraph.split(' ')) {
+				const candidate = line ? `${line} ${word}` : word;
+				if (line && measure(candidate, el.fontSize) > width) {
+					lines.push(line);
+					line = word;
+				} else {
+					line = candidate;
+				}
+			}
+			lines.push(line);
+		}
+		return lines;
+	}
+
+	function strokeAttrs(el, dashed = el.strokeStyle === 'dashed') {
+		const dash = dashed ? ` stroke-dasharray="${num(el.size * 3)} ${num(el.size * 2)}"` : '';
+		return `stroke="${escapeXml(el.color)}" stroke-width="${num(el.size)}" stroke-linecap="round" stroke-linejoin="round"${dash}`;
+	}
+
+	function renderElement(el, { imageHref, measureText }) {
+		const [a, b] = el.points;
+		const type = el.type || 'stroke';
+		const r = rectFromPoints(a, b);
+		const fill = el.fill ? escapeXml(el.fill) : 'none';
+		let body;
+		switch (type) {
+			case 'rect':
+				body = `<rect x="${num(r.x)}" y="${num(r.y)}" width="${num(r.w)}" height="${num(r.h)}" fill="${fill}" ${strokeAttrs(el)}/>`;
+				break;
+			case 'ellipse':
+				body = `<ellipse cx="${num(r.x + r.w / 2)}" cy="${num(r.y + r.h / 2)}" rx="${num(r.w / 2)}" ry="${num(r.h / 2)}" fill="${fill}" ${strokeAttrs(el)}/>`;
+				break;
+			case 'line':
+				body = `<line x1="${num(a.x)}" y1="${num(a.y)}" x2="${num(b.x)}" y2="${num(b.y)}" ${strokeAttrs(el)}/>`;
+				break;
+			case 'arrow': {
+				// Arrow head is always solid
+				const angle = Math.atan2(b.y - a.y, b.x - a.x);
+				const head = Math.max(10, el.size * 3);
+				const left = { x: b.x - head * Math.cos(angle - Math.PI / 6), y: b.y - head * Math.sin(angle - Math.PI / 6) };
+				const right = { x: b.x - head * Math.cos(angle + Math.PI / 6), y: b.y - head * Math.sin(angle + Math.PI / 6) };
+				body = `<line x1="${num(a.x)}" y1="${num(a.y)}" x2="${num(b.x)}" y2="${num(b.y)}" ${strokeAttrs(el)}/>`
+					+ `<path d="M${num(left.x)} ${num(left.y)}L${num(b.x)} ${num(b.y)}L${num(right.x)} ${num(right.y)}" fill="none" ${strokeAttrs(el, false)}/>`;
+				break;
+			}
+			case 'text':
+			case 'sticky': {
+				const padding = type === 'sticky' ? STICKY_PADDING : 0;
+				const lineHeight = el.fontSize * LINE_HEIGHT;
+				const background = el.background
+					? `<rect x="${num(r.x)}" y="${num(r.y)}" width="${num(r.w)}" height="${num(r.h)}" fill="${escapeXml(el.background)}"${type === 'sticky' ? ' filter="url(#sticky-shadow)"' : ''}/>`
+					: '';
+				const lines = wrapText(el, measureText).map((line, i) =>
+					`<tspan x="${num(r.x + padding)}" y="${num(r.y + padding + lineHeight * (i + 0.5))}">${escapeXml(line)}</tspan>`
+				).join('');
+				body = `${background}<text font-family="sans-serif" font-size="${num(el.fontSize)}" fill="${escapeXml(el.color)}" dominant-baseline="middle" xml:space="preserve">${lines}</text>`;
+				break;
+			}
+			case 'image': {
+				const href = imageHref(el.assetId);
+				body = href
+					? `<image x="${num(r.x)}" y="${num(r.y)}" width="${num(r.w)}" height="${num(r.h)}" preserveAspectRatio="none" href="${escapeXml(href)}"/>`
+					: `<rect x="${num(r.x)}" y="${num(r.y)}" width="${num(r.w)}" height="${num(r.h)}" fill="${PLACEHOLDER.fill}" stroke="${PLACEHOLDER.stroke}"/>`;
+				break;
+			}
+			default:
+				body = `<path d="${el.points.map((p, i) => `${i ? 'L' : 'M'}${num(p.x)} ${num(p.y)}`).join('')}" fill="none" ${strokeAttrs(el)}/>`;
+		}
+		let attrs = `data-id="${escapeXml(el.id)}" data-type="${type}"`;
+		if (el.opacity !== undefined && el.opacity !== 1) attrs += ` opacity="${num(el.opacity)}"`;
+		if (el.rotation) {
+			// Box elements rotate around their centre
+			attrs += ` transform="rotate(${num(el.rotation * 180 / Math.PI)} ${num(r.x + r.w / 2)} ${num(r.y + r.h / 2)})"`;
+		}
+		return `<g ${attrs}>${body}</g>`;
+	}
+
+	// SVG document for the elements. Options:
+	//   bounds      - world rectangle to export (default: around all elements)
+	//   padding     - margin around the default bounds
+	//   background  - page colour, null for transparent
+	//   imageHref   - assetId -> URL or data URI to embed, null draws a placeholder
+	//   measureText - (text, fontSize) -> width, for wrapping text like the canvas does
+	function svg(elements, options = {}) {
+		const {
+			padding = 20,
+			background = '#ffffff',
+			imageHref = assetId => `/api/assets/${assetId}`,
+			measureText = estimateWidth
+		} = options;
+		const drawable = elements.filter(isDrawable).sort((a, b) => (a.z || 0) - (b.z || 0));
+		let box = options.bounds;
+		if (!box) {
+			const content = bounds(drawable) || { x: 0, y: 0, w: 0, h: 0 };
+			box = { x: content.x - padding, y: content.y - padding, w: content.w + padding * 2, h: content.h + padding * 2 };
+		}
+		const defs = drawable.some(el => el.type === 'sticky' && el.background)
+			? '<defs><filter id="sticky-shadow" x="-10%" y="-10%" width="120%" height="130%"><feDropShadow dx="0" dy="2" stdDeviation="4" flood-opacity="0.2"/></filter></defs>'
+			: '';
+		const page = background
+			? `<rect x="${num(box.x)}" y="${num(box.y)}" width="${num(box.w)}" height="${num(box.h)}" fill="${escapeXml(background)}"/>`
+			: '';
+		const body = drawable.map(el => renderElement(el, { imageHref, measureText })).join('\n');
+		return '<?xml version="1.0" encoding="UTF-8"?>\n'
+			+ `<svg xmlns="http://www.w3.org/2000/svg" width="${num(box.w)}" height="${num(box.h)}" viewBox="${num(box.x)} ${num(box.y)} ${num(box.w)} ${num(box.h)}">\n`
+			+ defs + page + '\n' + body + '\n</svg>\n';
+	}
+
+	// One-page PDF showing a single image scaled to the page.
+	// image: { width, height, data (Uint8Array), filter: 'DCTDecode' for JPEG or 'FlateDecode' for zlib-compressed RGB }
+	// page: { width, height } in points
+	function pdf(image, page) {
+		const encoder = new TextEncoder();
+		const parts = [];
+		const offsets = [];
+		let length = 0;
+		const write = (chunk) => {
+			const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+			parts.push(bytes);
+			length += bytes.length;
+		};
+		const object = (id, dict, stream) => {
+			offsets[id] = length;
+			write(`${id} 0 obj\n${dict}\n`);
+			if (stream) {
+				write('stream\n');
+				write(stream);
+				write('\nendstream\n');
+			}
+			write('endobj\n');
+		};
+		const w = num(page.width), h = num(page.height);
+		const content = encoder.encode(`q ${w} 0 0 ${h} 0 0 cm /Im0 Do Q`);
+
+		write('%PDF-1.4\n');
+		object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+		object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+		object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${w} ${h}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+		object(4, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /${image.filter} /Length ${image.data.length} >>`, image.data);
+		object(5, `<< /Length ${content.length} >>`, content);
+		const xref = length;
+		write(`xref\n0 6\n0000000000 65535 f \n${offsets.slice(1).map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`);
+		write(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+		const out = new Uint8Array(length);
+		let pos = 0;
+		for (const part of parts) {
+			out.set(part, pos);
+			pos += part.length;
+		}
+		return out;
+	}
+
+	return { svg, pdf, bounds, wrapText };
+})();
+
+// Also loadable from Node for the server's export route
+if (typeof module !== 'undefined') module.exports = BoardExport;
@@ -3,19 +3,31 @@ class WhiteboardApp {
 		// --- Core Properties ---
 		this.canvas = document.getElementById('canvas');
 		this.ctx = this.canvas.getContext('2d');
-		this.socket = io();
 		this.roomId = null;
+		this.token = sessionStorage.getItem('vdraw_token');
 		this.currentUser = JSON.parse(sessionStorage.getItem('vdraw_user'));
 		
-		if (!this.currentUser) {
+		if (!this.token || !this.currentUser) {
 			window.location.href = '/'; // Redirect if not logged in
 			return;
 		}
+		// The server derives our identity from the signed token during the handshake
+		this.socket = io({ auth: { token: this.token } });
 
 		// --- Board State ---
-		this.strokes = {}; // Store strokes by ID
+		this.pages = []; // [{ id, title }] in page order, as the server last sent them
+		this.pageId = null; // Page on screen; this.strokes only holds its elements
+		this.pageCameras = {}; // pageId -> camera we last left that page with
+		this.draggedPageId = null; // Page tab being dragged to a new position
+		this.strokes = {}; // Store strokes by ID; change it only through setBoard/setElement/removeElement
+		this.index = new SpatialIndex(); // Cached bounding boxes of this.strokes for culling and hit-testing
+		this.needsRedraw = true; // The render loop only repaints after requestRedraw()
 		this.isDrawing = false;
 		this.currentStroke = null;
+		this.liveStrokes = {}; // In-progress strokes from other users, by ID
+		this.pendingPoints = []; // Points of currentStroke not yet streamed
+		this.lastPointsFlush = 0;
+		this.pointsFlushInterval = 50; // ms between streamed point batches
 
 		// --- Camera/Viewport ---
 		this.camera = {
@@ -30,13 +42,69 @@ class WhiteboardApp {
 		this.maxZoom = 6;
 
 		// --- Tool State ---
-		this.currentTool = 'pen'; // 'pen', 'eraser', 'move', 'select'
+		this.currentTool = 'pen'; // 'pen', 'eraser', 'move', 'select', or a shape tool
+		this.shapeTools = ['rect', 'ellipse', 'line', 'arrow'];
+		this.textTools = ['text', 'sticky'];
+		this.role = null; // 'owner', 'editor', 'viewer' - set from the members list after joining
 		this.currentColor = '#000000';
 		this.currentSize = 5;
+		this.currentFill = null; // Fill colour for rect/ellipse, null for none
+		this.currentStrokeStyle = 'solid'; // 'solid', 'dashed'
+		this.currentOpacity = 1;
+		this.currentShape = null; // Shape being dragged out
+		this.currentFontSize = 20;
+		this.eraserMode = 'stroke'; // 'stroke' (whole elements), 'pixel' (cut strokes), 'area' (lasso)
+		this.eraseSession = null; // { removed, added, lasso, last } during one eraser gesture
+		this.textEditor = null; // { el, textarea, isNew } while a text element is being edited
+		this.textLayouts = new WeakMap(); // element -> cached word-wrapped lines
+		this.images = new Map(); // assetId -> HTMLImageElement
+		this.imageTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+		this.maxImageSize = 5 * 1024 * 1024; // Same limit as the server
 
 		// --- Collaboration ---
 		this.remoteCursors = {};
 		this.remoteCursorPositions = {};
+		this.cursorIdleTimers = {}; // userId -> timer that hides their cursor
+		this.cursorIdleTimeout = 10000; // Remote cursors that do not move for this long are hidden
+		this.cursorChatTimers = {}; // userId -> timer that hides their chat bubble
+		this.cursorChatDuration = 5000; // ms a chat bubble stays after its last change
+		this.cursorWorldPos = null; // Our cursor as last sent
+		this.pendingCursor = null; // Our latest cursor position, not yet sent
+		this.lastCursorSent = 0;
+		this.cursorInterval = 50; // ms between cursor updates; moves in between collapse into one
+		this.cursorTimer = null;
+		this.cursorChat = null; // { input, text, timer } while we type a cursor chat message
+
+		// --- Chat & Comments ---
+		this.chat = []; // Room chat, oldest first
+		this.chatLimit = 500; // Same as the server
+		this.comments = {}; // commentId -> comment thread, on every page
+		this.reads = {}; // 'chat' or commentId -> createdAt of the newest message we have read
+		this.commentPins = {}; // commentId -> pin element, for comments on this page
+		this.openThread = null; // { commentId } or { anchor } of a new comment, shown in #commentThread
+		this.members = []; // Last members list from the server
+		this.inviteToken = null; // Invite from the URL, used only to join the first time
+		this.roomPassword = null; // Room password typed in, same as inviteToken
+		this.invites = []; // Invite links of the room, loaded when the owner opens #invitePanel
+		this.bans = []; // Active bans of the room, loaded with the invites
+		this.banTarget = null; // Member the ban dialog is open for
+		this.remoteViewports = {}; // userId -> { pageId, x, y, w, h } each member is looking at
+		this.followingUserId = null; // Member whose view our camera follows
+		this.followEasing = 0.2; // Share of the remaining distance the camera covers each frame
+		this.lastViewportKey = null; // Viewport we last sent, to skip sending it again
+		this.lastViewportSent = 0;
+		this.viewportInterval = 100; // ms between viewport updates
+		this.viewportTimer = null;
+		this.pageLoading = false; // A get-page request is on its way
+
+		// --- Minimap ---
+		this.minimap = document.getElementById('minimap');
+		this.minimapLayer = document.createElement('canvas'); // Element boxes of the page, drawn ahead of time
+		this.minimapContent = null; // World rectangle minimapLayer covers, null for an empty page
+		this.minimapDirty = true;
+		this.minimapRenderedAt = 0;
+		this.minimapInterval = 250; // ms between re-renders of minimapLayer while the page changes
+		this.minimapTransform = null; // { x, y, scale, offsetX, offsetY } of the last minimap frame
 
 		// --- Touch Gesture State ---
 		this.pinchState = {
@@ -47,17 +115,26 @@ class WhiteboardApp {
 		};
 
 		// --- Selection State ---
-		this.selectionRect = null; // {x,y,w,h} in world coords
+		this.selectionRect = null; // Rubber band {x,y,w,h} in world coords while selecting
 		this.selectedStrokeIds = new Set();
 		this.isSelecting = false;
-		this.isDraggingSelection = false;
 		this.selectionStartWorld = null;
-		this.lastDragWorld = null;
-		this.accumulatedDrag = { x: 0, y: 0 };
+		this.transformDrag = null; // { handle, start, origin, ids, snapshot, transform } while moving, resizing or rotating
+		this.rotatableTypes = ['rect', 'ellipse', 'text', 'sticky', 'image']; // Keep their own `rotation`
+
+		// --- Sync State ---
+		this.pendingOps = new Map(); // opId -> operation waiting for a server ack
+		this.unsyncedStrokeIds = new Set(); // Strokes touched by pending operations
+		this.ackTimeout = 5000;
+		this.hasJoined = false;
+		this.revision = 0; // Last board revision applied locally
+		this.ownOpIds = new Set(); // Recent opIds sent by this client
+		this.thumbnailTimer = null;
+		this.thumbnailDelay = 10000; // ms after our last change before the dashboard thumbnail is refreshed
 
 		// --- History (Undo/Redo) ---
-		this.undoStack = [];
-		this.redoStack = [];
+		// The server keeps each user's history; we only mirror whether undo/redo are possible
+		this.historyState = { canUndo: false, canRedo: false };
 
 		this.init();
 	}
@@ -76,6 +153,7 @@ class WhiteboardApp {
 		this.canvas.height = window.innerHeight;
 		this.ctx.lineCap = 'round';
 		this.ctx.lineJoin = 'round';
+		this.requestRedraw(); // Resizing clears the canvas
 	}
 
 	setupEventListeners() {
@@ -96,26 +174,90 @@ class WhiteboardApp {
 		// Toolbar
 		document.querySelector('.floating-toolbar').addEventListener('click', (e) => {
 			const btn = e.target.closest('.tool-btn');
-			if (btn) this.selectTool(btn.dataset.tool);
+			if (btn && btn.dataset.tool) this.selectTool(btn.dataset.tool);
 		});
 		document.getElementById('colorPicker').addEventListener('change', (e) => this.currentColor = e.target.value);
 		document.getElementById('brushSize').addEventListener('change', (e) => this.currentSize = parseInt(e.target.value));
+		const updateFill = () => {
+			const enabled = document.getElementById('fillEnabled').checked;
+			this.currentFill = enabled ? document.getElementById('fillPicker').value : null;
+		};
+		document.getElementById('fillEnabled').addEventListener('change', updateFill);
+		document.getElementById('fillPicker').addEventListener('change', updateFill);
+		document.getElementById('strokeStyle').addEventListener('change', (e) => this.currentStrokeStyle = e.target.value);
+		document.getElementById('opacity').addEventListener('input', (e) => this.currentOpacity = parseInt(e.target.value) / 100);
+		document.getElementById('fontSize').addEventListener('change', (e) => this.currentFontSize = parseInt(e.target.value));
+		document.getElementById('eraserMode').addEventListener('change', (e) => this.eraserMode = e.target.value);
+		// Images: toolbar upload, drag-and-drop onto the canvas, or paste
+		const imageInput = document.getElementById('imageInput');
+		document.getElementById('imageBtn').addEventListener('click', () => imageInput.click());
+		imageInput.addEventListener('change', () => {
+			for (const file of imageInput.files) this.insertImage(file);
+			imageInput.value = '';
+		});
+		this.canvas.addEventListener('dragover', (e) => e.preventDefault());
+		this.canvas.addEventListener('drop', (e) => {
+			e.preventDefault();
+			const worldPos = this.screenToWorld(this.getMousePos(e));
+			for (const file of e.dataTransfer.files) this.insertImage(file, worldPos);
+		});
+		window.addEventListener('paste', (e) => {
+			if (this.textEditor || !e.clipboardData) return;
+			for (const item of e.clipboardData.items) {
+				if (item.kind === 'file') this.insertImage(item.getAsFile());
+			}
+		});
+		this.canvas.addEventListener('dblclick', (e) => {
+			if (!this.canEdit()) return;
+			const el = this.textElementAt(this.screenToWorld(this.getMousePos(e)));
+			if (el) this.openTextEditor(el, false);
+		});
 		document.getElementById('clearBoard').addEventListener('click', () => {
-			if (confirm('Are you sure you want to clear the entire board?')) {
-				// Save state for undo
-				const snapshot = JSON.parse(JSON.stringify(this.strokes));
-				this.pushHistory({ type: 'clear', before: snapshot });
-				this.socket.emit('clear-board', this.roomId);
+			if (confirm('Are you sure you want to clear everything on this page?')) {
+				this.queueOp('clear-board', { roomId: this.roomId }, {
+					onReject: (res) => this.showToast(res.message)
+				});
 			}
 		});
-		document.getElementById('copyRoomId').addEventListener('click', () => {
-			navigator.clipboard.writeText(this.roomId).then(() => alert('Room ID copied!'));
+		document.getElementById('copyRoomId').addEventListener('click', () => this.copyInviteLink());
+		// Export menu
+		const exportMenu = document.getElementById('exportMenu');
+		document.getElementById('exportBtn').addEventListener('click', () => { exportMenu.hidden = !exportMenu.hidden; });
+		exportMenu.addEventListener('click', (e) => {
+			const btn = e.target.closest('[data-format]');
+			if (!btn) return;
+			exportMenu.hidden = true;
+			this.exportBoard(btn.dataset.format, document.getElementById('exportScope').value);
+		});
+		document.addEventListener('click', (e) => {
+			if (!e.target.closest('#exportMenu, #exportBtn')) exportMenu.hidden = true;
 		});
 		document.getElementById('undoBtn').addEventListener('click', () => this.undo());
 		document.getElementById('redoBtn').addEventListener('click', () => this.redo());
+		this.setupPageStrip();
+		this.setupMinimap();
+		this.setupChat();
+		this.setupInvites();
+		// Click a member to follow their view, click again to stop
+		document.getElementById('members-list').addEventListener('click', (e) => {
+			if (e.target.closest('.member-actions')) return;
+			const row = e.target.closest('[data-follow]');
+			if (row) this.toggleFollow(row.dataset.follow);
+		});
 
 		// Keyboard events
 		window.addEventListener('keydown', (e) => {
+			// Keys typed into the text editor or cursor chat belong to the text
+			if (this.textEditor && e.target === this.textEditor.textarea) return;
+			if (this.cursorChat && e.target === this.cursorChat.input) return;
+			if (e.target.closest('#chatPanel, #commentThread, #invitePanel, #banDialog')) return;
+			this.requestRedraw();
+			if (e.key === 'Escape') this.stopFollowing();
+			if (e.key === '/' && !e.target.closest('input, select, textarea')) {
+				e.preventDefault();
+				this.openCursorChat();
+				return;
+			}
 			if (e.code === 'Space') {
 				this.isSpacePressed = true;
 				this.canvas.style.cursor = 'grab';
@@ -123,6 +265,7 @@ class WhiteboardApp {
 			// Undo/Redo shortcuts
 			const isMac = navigator.platform.toUpperCase().indexOf('MAC')>=0;
 			const mod = isMac ? e.metaKey : e.ctrlKey;
+			if (!this.canEdit()) return;
 			if (mod && e.key.toLowerCase() === 'z' && !e.shiftKey) {
 				e.preventDefault();
 				this.undo();
@@ -131,9 +274,29 @@ class WhiteboardApp {
 				e.preventDefault();
 				this.redo();
 			}
+			// Selection shortcuts
+			if (this.currentTool !== 'select' || !this.selectedStrokeIds.size) return;
+			if (e.key === 'Delete' || e.key === 'Backspace') {
+				e.preventDefault();
+				this.deleteSelection();
+			} else if (e.key === 'Escape') {
+				this.selectedStrokeIds.clear();
+			} else if (mod && e.key.toLowerCase() === 'd') {
+				e.preventDefault();
+				this.duplicateSelection();
+			} else if (mod && e.code === 'BracketRight') {
+				e.preventDefault();
+				this.reorderSelection(e.shiftKey ? 'front' : 'forward');
+			} else if (mod && e.code === 'BracketLeft') {
+				e.preventDefault();
+				this.reorderSelection(e.shiftKey ? 'back' : 'backward');
+			}
 		});
 		
 		window.addEventListener('keyup', (e) => {
+			if (this.textEditor && e.target === this.textEditor.textarea) return;
+			if (this.cursorChat && e.target === this.cursorChat.input) return;
+			if (e.target.closest('#chatPanel, #commentThread, #invitePanel, #banDialog')) return;
 			if (e.code === 'Space') {
 				this.isSpacePressed = false;
 				this.canvas.style.cursor = this.currentTool === 'move' ? 'grab' : 'crosshair';
@@ -143,62 +306,455 @@ class WhiteboardApp {
 
 	setupSocketListeners() {
 		this.socket.on('connect', () => {
-			this.socket.emit('authenticate', this.currentUser);
+			// Rejoin after a reconnect and catch up on what we missed
+			if (this.hasJoined) {
+				this.setConnectionState('syncing');
+				this.joinRoom();
+			}
+		});
+		this.socket.on('disconnect', () => this.setConnectionState('offline'));
+		this.socket.on('connect_error', (err) => {
+			if (err.message === 'Unauthorized') {
+				// Token expired or invalid - force a fresh login
+				sessionStorage.removeItem('vdraw_token');
+				sessionStorage.removeItem('vdraw_user');
+				window.location.href = '/';
+			}
 		});
 
 		this.socket.on('update-members', this.updateMembersList.bind(this));
-		this.socket.on('new-stroke', ({ strokeId, strokeData }) => {
-			this.strokes[strokeId] = strokeData;
-		});
-		this.socket.on('stroke-deleted', (strokeId) => {
-			delete this.strokes[strokeId];
+		for (const event in this.changeHandlers()) {
+			this.socket.on(event, (data) => this.applyChange(event, data));
+		}
+		this.socket.on('stroke-started', (stroke) => {
+			if (stroke.pageId !== this.pageId) return;
+			this.liveStrokes[stroke.id] = stroke;
+			this.requestRedraw();
 		});
-		this.socket.on('board-cleared', () => {
-			this.strokes = {};
+		this.socket.on('stroke-points', ({ strokeId, points }) => {
+			const stroke = this.liveStrokes[strokeId];
+			if (stroke) stroke.points.push(...points);
+			this.requestRedraw();
 		});
-		this.socket.on('strokes-updated', ({ strokeIds, dx, dy }) => {
-			for (const id of strokeIds) {
-				const s = this.strokes[id];
-				if (!s || !Array.isArray(s.points)) continue;
-				for (const p of s.points) { p.x += dx; p.y += dy; }
-			}
-			// Move selection rectangle too if dragging
-			if (this.selectionRect && this.isDraggingSelection) {
-				this.selectionRect.x += dx; this.selectionRect.y += dy;
-			}
+		this.socket.on('stroke-cancelled', (strokeId) => {
+			delete this.liveStrokes[strokeId];
+			this.requestRedraw();
 		});
+		this.socket.on('history-state', this.updateHistoryState.bind(this));
 		this.socket.on('update-cursor', this.updateRemoteCursor.bind(this));
+		this.socket.on('cursor-left', ({ userId }) => this.removeRemoteCursor(userId));
+		this.socket.on('cursor-chat', this.showCursorChat.bind(this));
+		this.socket.on('viewport-updated', ({ userId, ...viewport }) => {
+			this.remoteViewports[userId] = viewport;
+			this.requestRedraw();
+		});
 		this.socket.on('kicked', message => {
 			alert(message);
 			window.location.href = '/';
 		});
+		this.socket.on('room-closed', message => {
+			alert(message);
+			window.location.href = '/';
+		});
+		this.socket.on('room-updated', ({ title }) => this.setTitle(title));
 	}
 
 	joinRoomFromURL() {
 		const urlParams = new URLSearchParams(window.location.search);
 		this.roomId = urlParams.get('room');
+		this.pageId = urlParams.get('page'); // The server falls back to the first page
+		this.inviteToken = urlParams.get('invite');
 		if (!this.roomId) {
 			alert('No room specified!');
 			window.location.href = '/';
 			return;
 		}
 
-		this.socket.emit('join-room', this.roomId, (response) => {
-			if (response.success) {
-				this.strokes = response.boardData.strokes || {};
-				document.getElementById('roomId').textContent = this.roomId;
-				// Initialize members list immediately
-				this.updateMembersList(response.boardData.members || []);
-				// Center camera on initial load
-				this.camera.x = -this.canvas.width / 2;
-				this.camera.y = -this.canvas.height / 2;
-			} else {
-				alert(`Error: ${response.message}`);
+		this.joinRoom();
+	}
+
+	joinRoom() {
+		// On a rejoin, ask only for what changed since our last revision
+		const payload = this.hasJoined
+			? { roomId: this.roomId, pageId: this.pageId, since: this.revision, pendingOpIds: Array.from(this.pendingOps.keys()) }
+			: { roomId: this.roomId, pageId: this.pageId };
+		// Once we are a member the server lets us back in without them
+		if (!this.hasJoined && this.inviteToken) payload.invite = this.inviteToken;
+		if (!this.hasJoined && this.roomPassword) payload.password = this.roomPassword;
+		this.socket.emit('join-room', payload, (response) => {
+			if (!response.success && (response.code === 'password-required' || response.code === 'password-wrong')) {
+				const password = prompt(response.code === 'password-wrong' ? 'Wrong password, try again:' : 'This room needs a password:');
+				if (password) {
+					this.roomPassword = password;
+					this.joinRoom();
+					return;
+				}
+			}
+			if (!response.success) {
+				const until = response.ban && response.ban.expiresAt ? ` Until ${new Date(response.ban.expiresAt).toLocaleString()}.` : '';
+				alert(`Error: ${response.message}${until}`);
 				window.location.href = '/';
+				return;
+			}
+			if (this.hasJoined) {
+				this.resync(response);
+				return;
+			}
+			this.hasJoined = true;
+			this.forgetInvite();
+			this.pageId = null; // Whatever the URL asked for, show the page the server sent
+			this.pages = response.boardData.pages;
+			this.loadPage(response.pageId, response.boardData.strokes || {}, response.liveStrokes);
+			this.setRemoteViewports(response.viewports);
+			this.setDiscussion(response.boardData, response.reads);
+			this.revision = response.revision;
+			this.updateHistoryState(response.history);
+			document.getElementById('roomId').textContent = this.roomId;
+			this.setTitle(response.boardData.title);
+			// Initialize members list immediately
+			this.updateMembersList(response.boardData.members || []);
+			this.setConnectionState('connected');
+		});
+	}
+
+	setTitle(title) {
+		const el = document.getElementById('roomTitle');
+		el.textContent = title || '';
+		el.hidden = !title;
+		document.title = title ? `${title} - vDraw` : 'vDraw Board';
+	}
+
+	// --- Pages ---
+	// Each page is its own canvas; we only hold the elements of the page on screen
+	setupPageStrip() {
+		const tabs = document.getElementById('pageTabs');
+		tabs.addEventListener('click', (e) => {
+			const tab = e.target.closest('.page-tab');
+			if (!tab) return;
+			// Picking a page yourself means you no longer follow someone else around
+			this.stopFollowing();
+			this.switchPage(tab.dataset.pageId);
+		});
+		tabs.addEventListener('dblclick', (e) => {
+			const tab = e.target.closest('.page-tab');
+			if (tab && this.canEdit()) this.renamePage(tab.dataset.pageId);
+		});
+		tabs.addEventListener('dragstart', (e) => {
+			const tab = e.target.closest('.page-tab');
+			if (!tab) return;
+			this.draggedPageId = tab.dataset.pageId;
+			e.dataTransfer.effectAllowed = 'move';
+			e.dataTransfer.setData('text/plain', tab.dataset.pageId);
+		});
+		tabs.addEventListener('dragover', (e) => {
+			if (this.draggedPageId && e.target.closest('.page-tab')) e.preventDefault();
+		});
+		tabs.addEventListener('drop', (e) => {
+			const tab = e.target.closest('.page-tab');
+			if (!tab || !this.draggedPageId) return;
+			e.preventDefault();
+			this.movePage(this.draggedPageId, this.pages.findIndex(p => p.id === tab.dataset.pageId));
+		});
+		tabs.addEventListener('dragend', () => { this.draggedPageId = null; });
+		document.getElementById('addPage').addEventListener('click', () => this.addPage());
+		document.getElementById('deletePage').addEventListener('click', () => this.deletePage(this.pageId));
+	}
+
+	// A new page list from the server; if our page is gone, move to the one that took its place
+	setPages(pages) {
+		const index = this.pages.findIndex(p => p.id === this.pageId);
+		this.pages = pages;
+		// Comments go with their page
+		for (const id in this.comments) {
+			if (!pages.some(p => p.id === this.comments[id].pageId)) delete this.comments[id];
+		}
+		if (this.pageId && !pages.some(p => p.id === this.pageId)) {
+			this.showToast('This page was deleted.');
+			this.switchPage(pages[Math.min(Math.max(index, 0), pages.length - 1)].id);
+		}
+		this.renderPages();
+	}
+
+	// Show a page: its elements replace this.strokes and each page keeps its own camera
+	loadPage(pageId, strokes, liveStrokes) {
+		if (pageId !== this.pageId) {
+			this.resetInteraction();
+			if (this.pageId) this.pageCameras[this.pageId] = { ...this.camera };
+			this.pageId = pageId;
+			// Pages we have not visited yet start centred like a new board
+			this.camera = this.pageCameras[pageId]
+				? { ...this.pageCameras[pageId] }
+				: { x: -this.canvas.width / 2, y: -this.canvas.height / 2, zoom: 1 };
+			this.clearRemoteCursors();
+			const url = new URL(window.location.href);
+			url.searchParams.set('page', pageId);
+			history.replaceState(null, '', url);
+		}
+		this.setBoard(strokes);
+		this.setLiveStrokes(liveStrokes);
+		this.renderPages();
+		this.renderComments();
+	}
+
+	switchPage(pageId) {
+		if (pageId === this.pageId || this.pageLoading) return;
+		if (!this.socket.connected) {
+			this.showToast('Pages can only be changed while connected.');
+			return;
+		}
+		this.pageLoading = true;
+		this.socket.timeout(this.ackTimeout).emit('get-page', { roomId: this.roomId, pageId }, (err, res) => {
+			this.pageLoading = false;
+			if (err || !res.success) {
+				// Stop following rather than retrying the same page every frame
+				this.stopFollowing();
+				return this.showToast(err ? 'Could not load the page.' : res.message);
 			}
+			this.loadPage(res.pageId, res.strokes, res.liveStrokes);
+		});
+	}
+
+	// Drop whatever is in progress on the page we are leaving
+	resetInteraction() {
+		if (this.textEditor) this.closeTextEditor(true);
+		this.closeCursorChat(true);
+		this.openThread = null;
+		if (this.isDrawing && this.currentStroke) {
+			this.socket.emit('stroke-cancel', { roomId: this.roomId, strokeId: this.currentStroke.id });
+		}
+		this.isDrawing = false;
+		this.currentStroke = null;
+		this.pendingPoints = [];
+		this.currentShape = null;
+		this.isErasing = false;
+		this.eraseSession = null;
+		if (this.transformDrag) this.restoreGeometry(this.transformDrag.snapshot);
+		this.transformDrag = null;
+		this.isSelecting = false;
+		this.selectionRect = null;
+		this.selectedStrokeIds.clear();
+	}
+
+	renderPages() {
+		const tabs = document.getElementById('pageTabs');
+		tabs.innerHTML = '';
+		for (const page of this.pages) {
+			const tab = document.createElement('button');
+			tab.className = 'page-tab';
+			tab.classList.toggle('active', page.id === this.pageId);
+			tab.textContent = page.title;
+			tab.title = this.canEdit() ? `${page.title} (double-click to rename, drag to reorder)` : page.title;
+			tab.dataset.pageId = page.id;
+			tab.draggable = this.canEdit();
+			tabs.appendChild(tab);
+		}
+		document.getElementById('deletePage').disabled = this.pages.length < 2;
+	}
+
+	// Page, chat and comment changes are not queued like element changes: they only make sense while connected
+	emitLiveOp(event, payload, onSuccess) {
+		if (!this.socket.connected) {
+			this.showToast('You are offline. Try again once reconnected.');
+			return;
+		}
+		this.socket.timeout(this.ackTimeout).emit(event, { roomId: this.roomId, ...payload }, (err, res) => {
+			if (err) return this.showToast('The server did not answer. Try again.');
+			if (!res.success) return this.showToast(res.message);
+			if (onSuccess) onSuccess(res);
 		});
 	}
 
+	addPage() {
+		this.emitLiveOp('add-page', {}, (res) => this.switchPage(res.pageId));
+	}
+
+	renamePage(pageId) {
+		const page = this.pages.find(p => p.id === pageId);
+		if (!page) return;
+		const title = prompt('Page name', page.title);
+		if (title === null || !title.trim() || title.trim() === page.title) return;
+		this.emitLiveOp('rename-page', { pageId, title });
+	}
+
+	movePage(pageId, index) {
+		const from = this.pages.findIndex(p => p.id === pageId);
+		if (from === -1 || index === -1 || from === index) return;
+		this.emitLiveOp('move-page', { pageId, index });
+	}
+
+	deletePage(pageId) {
+		const page = this.pages.find(p => p.id === pageId);
+		if (!page || this.pages.length < 2) return;
+		if (!confirm(`Delete "${page.title}" and everything on it for everyone? This cannot be undone.`)) return;
+		this.emitLiveOp('delete-page', { pageId });
+	}
+
+	// Reconcile after a reconnect: settle operations the server already applied,
+	// catch up through the delta (or snapshot), then resend what is still pending
+	resync(response) {
+		for (const { opId, response: res } of response.appliedOps || []) {
+			const entry = this.pendingOps.get(opId);
+			if (entry) this.settleOp(entry, res);
+		}
+
+		if (response.changes) {
+			for (const { event, data } of response.changes) {
+				this.applyChange(event, data);
+			}
+			this.updateMembersList(response.members || []);
+		} else {
+			// No delta available - take the snapshot and replay our pending changes on top.
+			// The server sends another page if ours was deleted while we were away.
+			this.pages = response.boardData.pages;
+			this.loadPage(response.pageId, response.boardData.strokes || {}, response.liveStrokes);
+			for (const entry of this.pendingOps.values()) {
+				if (entry.reapply && entry.pageId === this.pageId) entry.reapply();
+			}
+			this.setDiscussion(response.boardData, response.reads);
+			this.updateMembersList(response.boardData.members || []);
+		}
+		this.revision = response.revision;
+		this.setLiveStrokes(response.liveStrokes);
+		this.setRemoteViewports(response.viewports);
+		this.updateHistoryState(response.history);
+		this.retryPendingOps();
+		this.setConnectionState('connected');
+	}
+
+	setLiveStrokes(strokes) {
+		this.liveStrokes = {};
+		for (const stroke of strokes || []) {
+			this.liveStrokes[stroke.id] = stroke;
+		}
+		this.requestRedraw();
+	}
+
+	// --- Element Store ---
+	// Every change to this.strokes goes through these so the spatial index stays in step
+	setBoard(strokes) {
+		this.strokes = strokes;
+		this.index.clear();
+		for (const id in strokes) this.index.insert(id, this.indexBox(strokes[id]));
+		// A different page must not be drawn with the old page's boxes, however recent
+		this.minimapRenderedAt = 0;
+		this.contentChanged();
+	}
+
+	setElement(el) {
+		this.strokes[el.id] = el;
+		this.index.insert(el.id, this.indexBox(el));
+		this.contentChanged();
+	}
+
+	removeElement(id) {
+		delete this.strokes[id];
+		this.index.remove(id);
+		this.contentChanged();
+	}
+
+	// Re-index elements whose geometry was changed in place
+	elementsChanged(ids) {
+		for (const id of ids) {
+			if (this.strokes[id]) this.index.insert(id, this.indexBox(this.strokes[id]));
+		}
+		this.contentChanged();
+	}
+
+	contentChanged() {
+		this.minimapDirty = true;
+		this.requestRedraw();
+	}
+
+	// Bounding box plus what is drawn outside the points (line width, arrow heads)
+	indexBox(el) {
+		const box = this.strokeBoundingBox(el);
+		const pad = el.type === 'arrow' ? Math.max(10, el.size * 3) : (el.size || 0) / 2;
+		return { x: box.x - pad, y: box.y - pad, w: box.w + pad * 2, h: box.h + pad * 2 };
+	}
+
+	// Elements near a world rectangle, in drawing order
+	elementsIn(rect) {
+		return Array.from(this.index.query(rect), id => [id, this.strokes[id]])
+			.sort(([, a], [, b]) => (a.z || 0) - (b.z || 0));
+	}
+
+	// --- Board Changes ---
+	// Every content change from the server carries the board revision it produced
+	changeHandlers() {
+		return {
+			'new-stroke': ({ strokeId, strokeData }) => {
+				delete this.liveStrokes[strokeId];
+				this.setElement(strokeData);
+			},
+			'stroke-deleted': ({ strokeId }) => {
+				this.removeElement(strokeId);
+			},
+			'board-cleared': () => {
+				this.setBoard({});
+			},
+			'strokes-added': ({ strokes }) => {
+				for (const stroke of strokes) this.setElement(stroke);
+			},
+			'strokes-deleted': ({ strokeIds }) => {
+				for (const id of strokeIds) this.removeElement(id);
+			},
+			'strokes-replaced': ({ strokeIds, strokes }) => {
+				for (const id of strokeIds) this.removeElement(id);
+				for (const stroke of strokes) this.setElement(stroke);
+			},
+			'elements-updated': ({ changes }) => {
+				for (const id in changes) {
+					if (this.strokes[id]) Object.assign(this.strokes[id], changes[id]);
+				}
+				this.elementsChanged(Object.keys(changes));
+			},
+			'strokes-transformed': ({ strokeIds, transform }) => {
+				this.transformStrokes(strokeIds, transform);
+			},
+			'pages-updated': ({ pages }) => {
+				this.setPages(pages);
+			},
+			'chat-message': ({ message }) => {
+				this.chat.push(message);
+				if (this.chat.length > this.chatLimit) this.chat.shift();
+				this.renderChat();
+			},
+			'comment-added': ({ comment }) => {
+				this.comments[comment.id] = comment;
+				this.renderComments();
+			},
+			'comment-replied': ({ commentId, message }) => {
+				if (this.comments[commentId]) this.comments[commentId].messages.push(message);
+				this.renderComments();
+			},
+			'comment-resolved': ({ commentId, resolved }) => {
+				if (this.comments[commentId]) this.comments[commentId].resolved = resolved;
+				this.renderComments();
+			},
+			'comment-deleted': ({ commentId }) => {
+				delete this.comments[commentId];
+				delete this.reads[commentId];
+				this.renderComments();
+			}
+		};
+	}
+
+	applyChange(event, data) {
+		if (data.revision > this.revision) this.revision = data.revision;
+		// Other pages are fetched fresh when we switch to them
+		if (data.pageId && data.pageId !== this.pageId) return;
+		// Our own transforms were already applied locally; applying them again would double them
+		if (event === 'strokes-transformed' && this.ownOpIds.has(data.opId)) return;
+		this.changeHandlers()[event](data);
+	}
+
+	setConnectionState(state) {
+		const el = document.getElementById('connectionStatus');
+		const labels = { connected: 'Connected', syncing: 'Reconnecting…', offline: 'Offline' };
+		el.className = `connection-status ${state}`;
+		el.querySelector('.connection-label').textContent = labels[state];
+	}
+
 	// --- Coordinate Transformation ---
 	getMousePos(e) {
 		const rect = this.canvas.getBoundingClientRect();
@@ -225,6 +781,8 @@ class WhiteboardApp {
 	// --- Event Handlers ---
 	onPointerDown(e) {
 		e.preventDefault();
+		this.requestRedraw();
+		this.refreshCursor();
 		// Multi-touch pinch start
 		if (e.touches && e.touches.length === 2) {
 			const t = this.getTouchInfo(e);
@@ -241,6 +799,12 @@ class WhiteboardApp {
 		const pos = this.getMousePos(e);
 		this.lastMousePos = pos;
 		const worldPos = this.screenToWorld(pos);
+
+		// Clicking the canvas finishes the current text edit (preventDefault keeps the textarea from blurring)
+		if (this.textEditor) {
+			this.closeTextEditor(true);
+			return;
+		}
 		
 		// Allow panning with middle mouse button or space key with any tool
 		if (e.button === 1 || this.isSpacePressed) {
@@ -249,29 +813,65 @@ class WhiteboardApp {
 			return;
 		}
 
+		// Anyone can comment; clicking the canvas with another tool closes the open thread
+		if (this.currentTool === 'comment') {
+			this.startComment(worldPos);
+			return;
+		}
+		if (this.openThread) this.closeThread();
+
+		if (!this.canEdit() && this.currentTool !== 'move') {
+			return;
+		}
+
 		if (this.currentTool === 'pen') {
 			this.isDrawing = true;
-			const strokeId = 'temp-' + Date.now();
+			const strokeId = this.generateId();
 			this.currentStroke = {
 				id: strokeId,
+				type: 'stroke',
 				color: this.currentColor,
 				size: this.currentSize,
-				points: [worldPos]
+				strokeStyle: this.currentStrokeStyle,
+				opacity: this.currentOpacity,
+				points: [worldPos],
+				z: this.nextZ()
 			};
 			// Add to strokes immediately for instant display
-			this.strokes[strokeId] = this.currentStroke;
+			this.setElement(this.currentStroke);
+			this.beginLiveStroke(this.currentStroke);
+		} else if (this.shapeTools.includes(this.currentTool)) {
+			const shape = {
+				id: this.generateId(),
+				type: this.currentTool,
+				color: this.currentColor,
+				size: this.currentSize,
+				strokeStyle: this.currentStrokeStyle,
+				opacity: this.currentOpacity,
+				points: [worldPos, { ...worldPos }],
+				z: this.nextZ()
+			};
+			if (this.currentTool === 'rect' || this.currentTool === 'ellipse') shape.fill = this.currentFill;
+			this.currentShape = shape;
+			// Local preview only; the shape is sent once it is finished
+			this.setElement(shape);
+		} else if (this.textTools.includes(this.currentTool)) {
+			// Click an existing text element to edit it, or empty space to add one
+			const existing = this.textElementAt(worldPos);
+			this.openTextEditor(existing || this.createTextElement(this.currentTool, worldPos), !existing);
 		} else if (this.currentTool === 'eraser') {
 			this.isErasing = true;
-			this.eraseAt(worldPos);
+			this.eraseSession = { removed: new Map(), added: new Map(), lasso: [worldPos], last: worldPos };
+			if (this.eraserMode !== 'area') this.eraseAt(worldPos);
 		} else if (this.currentTool === 'move') {
 			this.isPanning = true;
 			this.canvas.style.cursor = 'grabbing';
 		} else if (this.currentTool === 'select') {
-			// If click inside existing selection => start dragging selection
-			if (this.selectionRect && this.pointInRect(worldPos, this.selectionRect)) {
-				this.isDraggingSelection = true;
-				this.lastDragWorld = worldPos;
-				this.accumulatedDrag = { x: 0, y: 0 };
+			// Handles resize/rotate the selection, dragging inside it moves it
+			const bounds = this.selectionBounds();
+			const handle = bounds && this.selectionHandleAt(bounds, pos);
+			if (handle || (bounds && this.pointInRect(worldPos, bounds))) {
+				this.beginTransformDrag(handle || 'move', bounds, worldPos);
 			} else {
 				// Start new selection rectangle
 				this.isSelecting = true;
@@ -293,6 +893,7 @@ class WhiteboardApp {
 				this.pinchState.initialZoom = this.camera.zoom;
 				this.pinchState.initialCenterWorld = this.screenToWorld(t.center);
 			}
+			this.stopFollowing();
 			const scale = t.distance / (this.pinchState.initialDistance || 1);
 			let newZoom = this.pinchState.initialZoom * scale;
 			newZoom = Math.max(this.minZoom, Math.min(this.maxZoom, newZoom));
@@ -300,6 +901,7 @@ class WhiteboardApp {
 			// Keep the initial world point under the touch center stable
 			this.camera.x = t.center.x - this.pinchState.initialCenterWorld.x * this.camera.zoom;
 			this.camera.y = t.center.y - this.pinchState.initialCenterWorld.y * this.camera.zoom;
+			this.requestRedraw();
 			return;
 		}
 		// If pinch ended
@@ -309,40 +911,49 @@ class WhiteboardApp {
 		const pos = this.getMousePos(e);
 		const worldPos = this.screenToWorld(pos);
 
-		this.socket.emit('cursor-move', { pos: worldPos });
+		this.queueCursor(worldPos);
+		if (this.cursorChat) this.positionCursorChat();
 
 		// Always allow panning with middle mouse button or space key
 		if (this.isPanning || e.button === 1 || this.isSpacePressed) {
+			this.stopFollowing();
 			const dx = pos.x - this.lastMousePos.x;
 			const dy = pos.y - this.lastMousePos.y;
 			this.camera.x += dx;
 			this.camera.y += dy;
 			this.lastMousePos = pos;
+			this.requestRedraw();
 			return;
 		}
 
 		if (this.isDrawing && this.currentTool === 'pen') {
 			this.currentStroke.points.push(worldPos);
-		} else if (this.isErasing && this.currentTool === 'eraser') {
-			this.eraseAt(worldPos);
+			this.index.extend(this.currentStroke.id, this.indexBox({ size: this.currentStroke.size, points: [worldPos] }));
+			this.requestRedraw();
+			this.pendingPoints.push(worldPos);
+			if (Date.now() - this.lastPointsFlush >= this.pointsFlushInterval) {
+				this.flushLivePoints();
+			}
+		} else if (this.currentShape) {
+			this.currentShape.points[1] = worldPos;
+			this.elementsChanged([this.currentShape.id]);
+		} else if (this.currentTool === 'eraser') {
+			if (!this.isErasing) {
+				// Only the outline of the partial eraser follows the pointer
+				if (this.eraserMode === 'pixel') this.requestRedraw();
+			} else if (this.eraserMode === 'area') {
+				this.eraseSession.lasso.push(worldPos);
+				this.requestRedraw();
+			} else {
+				this.eraseAt(worldPos);
+			}
 		} else if (this.currentTool === 'select') {
 			if (this.isSelecting) {
 				// Update selection rectangle size
 				this.selectionRect = this.rectFromPoints(this.selectionStartWorld, worldPos);
-			} else if (this.isDraggingSelection && this.selectedStrokeIds.size) {
-				// Drag selection - apply local transform for preview
-				const dx = worldPos.x - this.lastDragWorld.x;
-				const dy = worldPos.y - this.lastDragWorld.y;
-				if (dx !== 0 || dy !== 0) {
-					for (const id of this.selectedStrokeIds) {
-						const s = this.strokes[id];
-						if (!s || !Array.isArray(s.points)) continue;
-						for (const p of s.points) { p.x += dx; p.y += dy; }
-					}
-					if (this.selectionRect) { this.selectionRect.x += dx; this.selectionRect.y += dy; }
-					this.accumulatedDrag.x += dx; this.accumulatedDrag.y += dy;
-					this.lastDragWorld = worldPos;
-				}
+				this.requestRedraw();
+			} else if (this.transformDrag) {
+				this.updateTransformDrag(worldPos, e.shiftKey);
 			}
 		}
 		
@@ -351,6 +962,8 @@ class WhiteboardApp {
 
 	onPointerUp(e) {
 		e.preventDefault();
+		this.requestRedraw();
+		this.refreshCursor();
 		this.isPanning = false;
 		this.isErasing = false;
 		this.canvas.style.cursor = this.currentTool === 'move' ? 'grab' : 'crosshair';
@@ -358,48 +971,51 @@ class WhiteboardApp {
 		if (this.isDrawing) {
 			this.isDrawing = false;
 			if (this.currentStroke && this.currentStroke.points.length > 1) {
-				// Send the completed stroke to the server
-				this.socket.emit('add-stroke', {
-					roomId: this.roomId,
-					strokeData: this.currentStroke
-				});
-				// Record history
-				this.pushHistory({ type: 'add', strokeId: this.currentStroke.id });
+				this.endLiveStroke(this.currentStroke);
 			} else {
 				// Remove very short strokes
-				delete this.strokes[this.currentStroke.id];
+				this.removeElement(this.currentStroke.id);
+				this.socket.emit('stroke-cancel', { roomId: this.roomId, strokeId: this.currentStroke.id });
 			}
+			this.pendingPoints = [];
 			this.currentStroke = null;
 		}
 
+		if (this.currentShape) {
+			this.commitShape(this.currentShape);
+			this.currentShape = null;
+		}
+
+		if (this.eraseSession) this.endErase();
+
 		if (this.currentTool === 'select') {
 			if (this.isSelecting && this.selectionRect) {
-				// Finalize selection: pick strokes whose bbox intersects rect
 				this.selectedStrokeIds.clear();
-				for (const id in this.strokes) {
-					const s = this.strokes[id];
-					const bbox = this.strokeBoundingBox(s);
-					if (this.rectsIntersect(bbox, this.selectionRect)) {
-						this.selectedStrokeIds.add(id);
+				const rect = this.selectionRect;
+				if (rect.w < 2 / this.camera.zoom && rect.h < 2 / this.camera.zoom) {
+					// A click selects the topmost element under the pointer
+					const hit = this.elementAt({ x: rect.x, y: rect.y });
+					if (hit) this.selectedStrokeIds.add(hit.id);
+				} else {
+					// Finalize selection: pick strokes whose bbox intersects rect
+					for (const [id, el] of this.elementsIn(rect)) {
+						if (this.rectsIntersect(this.strokeBoundingBox(el), rect)) {
+							this.selectedStrokeIds.add(id);
+						}
 					}
 				}
+				this.selectionRect = null;
 				this.isSelecting = false;
-			} else if (this.isDraggingSelection) {
-				this.isDraggingSelection = false;
-				// Emit update-strokes with accumulated delta and push history
-				if (this.accumulatedDrag.x !== 0 || this.accumulatedDrag.y !== 0) {
-					const ids = Array.from(this.selectedStrokeIds);
-					const dx = this.accumulatedDrag.x;
-					const dy = this.accumulatedDrag.y;
-					this.socket.emit('update-strokes', { roomId: this.roomId, strokeIds: ids, dx, dy });
-					this.pushHistory({ type: 'move', strokeIds: ids, dx, dy });
-				}
+			} else if (this.transformDrag) {
+				this.endTransformDrag();
 			}
 		}
 	}
 
 	onWheel(e) {
 		e.preventDefault();
+		this.stopFollowing();
+		this.requestRedraw();
 		const pos = this.getMousePos(e);
 		const zoomIntensity = 0.1;
 		const wheel = e.deltaY < 0 ? 1 : -1;
@@ -413,183 +1029,1917 @@ class WhiteboardApp {
 	}
 	
 	// --- Tool Logic ---
+	canEdit() {
+		return this.role === 'owner' || this.role === 'editor';
+	}
+
+	applyRole(role) {
+		if (role === this.role) return;
+		this.role = role;
+		this.requestRedraw();
+		const toolbar = document.querySelector('.floating-toolbar');
+		toolbar.classList.toggle('read-only', !this.canEdit());
+		toolbar.classList.toggle('is-owner', role === 'owner');
+		document.querySelector('.info-panel').classList.toggle('is-owner', role === 'owner');
+		if (role !== 'owner') {
+			document.getElementById('invitePanel').hidden = true;
+			this.closeBanDialog();
+		}
+		const pageStrip = document.getElementById('pageStrip');
+		pageStrip.classList.toggle('read-only', !this.canEdit());
+		pageStrip.classList.toggle('is-owner', role === 'owner');
+		this.renderPages();
+		this.renderComments();
+		if (!this.canEdit()) {
+			// Viewers can only look around and comment
+			if (this.textEditor) this.closeTextEditor(false);
+			this.isDrawing = false;
+			this.isErasing = false;
+			if (this.transformDrag) this.restoreGeometry(this.transformDrag.snapshot);
+			this.transformDrag = null;
+			this.selectionRect = null;
+			this.selectedStrokeIds.clear();
+			this.selectTool('move');
+		} else if (this.currentTool === 'move') {
+			this.selectTool('pen');
+		}
+	}
+
 	selectTool(tool) {
 		this.currentTool = tool;
+		this.requestRedraw();
 		document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
 		const btn = document.querySelector(`.tool-btn[data-tool="${tool}"]`);
 		if (btn) btn.classList.add('active');
 		this.canvas.style.cursor = tool === 'move' ? 'grab' : 'crosshair';
+		this.refreshCursor();
 	}
 
+	// --- Eraser ---
+	// Erasing is applied locally as the pointer moves and sent as one
+	// replace-strokes operation (deletes plus the leftover pieces) on release
 	eraseAt(worldPos) {
-		const ERASE_RADIUS = 20 / this.camera.zoom; // Radius in world coordinates
-		let closestStrokeId = null;
-		let minDistance = Infinity;
-
-		for (const id in this.strokes) {
-			const stroke = this.strokes[id];
-			for (const point of stroke.points) {
-				const dist = Math.hypot(point.x - worldPos.x, point.y - worldPos.y);
+		if (this.eraserMode === 'stroke') {
+			const ERASE_RADIUS = 20 / this.camera.zoom; // Radius in world coordinates
+			let closestStrokeId = null;
+			let minDistance = Infinity;
+			for (const [id, el] of this.elementsIn(this.rectAround(worldPos, ERASE_RADIUS))) {
+				const dist = this.distanceToElement(el, worldPos);
 				if (dist < minDistance) {
 					minDistance = dist;
 					closestStrokeId = id;
 				}
 			}
+			if (closestStrokeId && minDistance < ERASE_RADIUS) this.eraseElement(closestStrokeId);
+			return;
 		}
-
-		if (closestStrokeId && minDistance < ERASE_RADIUS) {
-			const removed = this.strokes[closestStrokeId];
-			delete this.strokes[closestStrokeId]; // Optimistic deletion
-			this.pushHistory({ type: 'delete', strokeId: closestStrokeId, strokeData: removed });
-			this.socket.emit('delete-stroke', { roomId: this.roomId, strokeId: closestStrokeId });
+		// Fill in between pointer samples so a fast swipe doesn't skip anything
+		const radius = this.eraserRadius();
+		const from = this.eraseSession.last;
+		this.eraseSession.last = worldPos;
+		const steps = Math.max(1, Math.ceil(Math.hypot(worldPos.x - from.x, worldPos.y - from.y) / (radius / 2)));
+		for (let i = 1; i <= steps; i++) {
+			this.eraseCircle(this.lerpPoint(from, worldPos, i / steps), radius);
 		}
 	}
-	
-	// --- Rendering ---
-	animate() {
-		this.draw();
-		requestAnimationFrame(this.animate.bind(this));
-	}
-
-	draw() {
-		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-		
-		this.ctx.save();
-		this.ctx.translate(this.camera.x, this.camera.y);
-		this.ctx.scale(this.camera.zoom, this.camera.zoom);
-
-		this.drawGrid();
 
-		// Draw all saved strokes
-		for (const id in this.strokes) {
-			this.drawStroke(this.strokes[id]);
-		}
+	eraserRadius() {
+		return 10 / this.camera.zoom;
+	}
 
-		// Draw selection rectangle in world space
-		if (this.selectionRect) {
-			this.ctx.save();
-			this.ctx.strokeStyle = '#007bff';
-			this.ctx.setLineDash([4, 4]);
-			this.ctx.lineWidth = 1 / this.camera.zoom;
-			this.ctx.fillStyle = 'rgba(0, 123, 255, 0.08)';
-			this.ctx.strokeRect(this.selectionRect.x, this.selectionRect.y, this.selectionRect.w, this.selectionRect.h);
-			this.ctx.fillRect(this.selectionRect.x, this.selectionRect.y, this.selectionRect.w, this.selectionRect.h);
-			this.ctx.restore();
+	// Cut freehand strokes around a circle; anything else it touches is erased whole
+	eraseCircle(center, radius) {
+		for (const [id, el] of this.elementsIn(this.rectAround(center, radius))) {
+			const r = radius + (el.size || 0) / 2;
+			if (this.distanceToElement(el, center) > r) continue;
+			if ((el.type || 'stroke') !== 'stroke') {
+				this.eraseElement(id);
+				continue;
+			}
+			const pieces = this.cutPolyline(
+				el.points,
+				(a, b) => this.circleCuts(a, b, center, r),
+				(p) => Math.hypot(p.x - center.x, p.y - center.y) < r
+			);
+			if (pieces) this.replaceElement(id, pieces);
 		}
+	}
 
-		this.ctx.restore();
-
-		// Update remote cursor DOM positions to follow camera
-		for (const userId in this.remoteCursorPositions) {
-			const worldPos = this.remoteCursorPositions[userId];
-			const screenPos = this.worldToScreen(worldPos);
-			const el = this.remoteCursors[userId];
-			if (el) {
-				el.style.transform = `translate(${screenPos.x}px, ${screenPos.y}px)`;
+	// Cut freehand strokes along the lasso; other elements go if their centre is inside it
+	eraseArea(lasso) {
+		const bounds = this.strokeBoundingBox({ points: lasso });
+		const inside = (p) => this.pointInPolygon(p, lasso);
+		for (const [id, el] of this.elementsIn(bounds)) {
+			const box = this.strokeBoundingBox(el);
+			if ((el.type || 'stroke') !== 'stroke') {
+				if (inside({ x: box.x + box.w / 2, y: box.y + box.h / 2 })) this.eraseElement(id);
+				continue;
 			}
+			const pieces = this.cutPolyline(el.points, (a, b) => this.polygonCuts(a, b, lasso), inside);
+			if (pieces) this.replaceElement(id, pieces);
 		}
 	}
-	
-	drawGrid() {
-		const gridSize = 50;
-		const scaledGridSize = gridSize * this.camera.zoom;
-		if (scaledGridSize < 5) return; // Don't draw if too small
-		
-		const startWorld = this.screenToWorld({x: 0, y: 0});
-		const endWorld = this.screenToWorld({x: this.canvas.width, y: this.canvas.height});
-		
-		this.ctx.strokeStyle = '#e0e0e0';
-		this.ctx.lineWidth = 1 / this.camera.zoom;
-		
-		// Vertical lines
-		for (let x = Math.floor(startWorld.x / gridSize) * gridSize; x < endWorld.x; x += gridSize) {
-			this.ctx.beginPath();
-			this.ctx.moveTo(x, startWorld.y);
-			this.ctx.lineTo(x, endWorld.y);
-			this.ctx.stroke();
-		}
-		// Horizontal lines
-		for (let y = Math.floor(startWorld.y / gridSize) * gridSize; y < endWorld.y; y += gridSize) {
-			this.ctx.beginPath();
-			this.ctx.moveTo(startWorld.x, y);
-			this.ctx.lineTo(endWorld.x, y);
-			this.ctx.stroke();
-		}
+
+	eraseElement(id) {
+		const session = this.eraseSession;
+		// A piece cut earlier in this gesture was never sent, so just forget it
+		if (session.added.has(id)) session.added.delete(id);
+		else session.removed.set(id, this.strokes[id]);
+		this.removeElement(id);
 	}
 
-	drawStroke(stroke) {
-		if (!stroke || !Array.isArray(stroke.points) || stroke.points.length < 2) return;
-		
-		this.ctx.strokeStyle = stroke.color;
-		this.ctx.lineWidth = stroke.size;
-		
-		this.ctx.beginPath();
-		this.ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
-		for (let i = 1; i < stroke.points.length; i++) {
-			this.ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+	replaceElement(id, pieces) {
+		const el = this.strokes[id];
+		this.eraseElement(id);
+		for (const points of pieces) {
+			const { authorId, ...piece } = el;
+			piece.id = this.generateId();
+			piece.points = points;
+			this.setElement(piece);
+			this.eraseSession.added.set(piece.id, piece);
 		}
-		this.ctx.stroke();
 	}
-	
-	// --- UI & Collaboration Updates ---
-	updateMembersList(members) {
-		const listEl = document.getElementById('members-list');
-		const countEl = document.getElementById('userCount');
-		listEl.innerHTML = '';
-
-		const onlineMembers = members.filter(m => m.status === 'online');
-		countEl.textContent = onlineMembers.length;
-
-		members.sort((a, b) => (a.status === 'offline') - (b.status === 'offline') || a.username.localeCompare(b.username));
 
-		members.forEach(member => {
-			const li = document.createElement('li');
-			const statusClass = member.status === 'online' ? 'online' : 'offline';
-			
-			let kickButton = '';
-			// Simple logic: if I am the owner, I can kick others
-			// A more robust check against board.owner would be better
-			if (this.currentUser.id !== member.id) { 
-				kickButton = `<button class="kick-btn" data-user-id="${member.id}">Kick</button>`;
+	endErase() {
+		const session = this.eraseSession;
+		if (this.eraserMode === 'area' && session.lasso.length > 2) this.eraseArea(session.lasso);
+		this.eraseSession = null;
+		const removed = Array.from(session.removed.values());
+		const added = Array.from(session.added.values());
+		if (!removed.length) return;
+		const removedIds = removed.map(el => el.id);
+		const addedIds = added.map(el => el.id);
+		this.queueOp('replace-strokes', { roomId: this.roomId, strokeIds: removedIds, strokes: added.map(el => this.strokeForSync(el)) }, {
+			strokeIds: addedIds,
+			reapply: () => {
+				removedIds.forEach(id => this.removeElement(id));
+				added.forEach(el => { this.setElement(el); });
+			},
+			onReject: (res) => {
+				addedIds.forEach(id => this.removeElement(id));
+				// Whatever someone else deleted in the meantime stays deleted
+				const missing = new Set(res.missing || []);
+				removed.forEach(el => { if (!missing.has(el.id)) this.setElement(el); });
+				if (res.code !== 'not-found') this.showToast(res.message);
 			}
-
-			li.innerHTML = `
-				<div>
-					<span class="status-dot ${statusClass}"></span>
-					<span>${member.username} ${member.id === this.currentUser.id ? '(You)' : ''}</span>
-				</div>
-				${kickButton}
-			`;
-			listEl.appendChild(li);
 		});
-
-		// Add event listeners for kick buttons
-		listEl.querySelectorAll('.kick-btn').forEach(btn => {
-			btn.addEventListener('click', (e) => {
-				const userIdToKick = e.target.dataset.userId;
-				if (confirm('Kick and ban this user by IP?')) {
-					this.socket.emit('kick-user', { roomId: this.roomId, userIdToKick });
-				}
-			});
+	}
+	
+	// --- Live Stroke Streaming ---
+	beginLiveStroke(stroke) {
+		this.pendingPoints = [];
+		this.lastPointsFlush = Date.now();
+		// Streaming is best effort: nothing is sent while offline, the queued commit covers it
+		if (!this.socket.connected) return;
+		this.socket.emit('stroke-begin', { roomId: this.roomId, pageId: this.pageId, stroke: this.strokeForSync(stroke) }, (res) => {
+			// Once the pen is up, the queued commit decides the stroke's fate
+			if (res.success || this.currentStroke !== stroke) return;
+			// Rejected - drop the stroke we are drawing
+			this.removeElement(stroke.id);
+			this.isDrawing = false;
+			this.currentStroke = null;
+			this.showToast(res.message);
 		});
 	}
 
-	updateRemoteCursor({ user, pos }) {
-		if (user.id === this.currentUser.id) return;
+	flushLivePoints() {
+		this.lastPointsFlush = Date.now();
+		if (!this.pendingPoints.length) return;
+		const points = this.pendingPoints;
+		this.pendingPoints = [];
+		if (!this.socket.connected) return;
+		this.socket.emit('stroke-points', { roomId: this.roomId, strokeId: this.currentStroke.id, points });
+	}
 
-		const cursorsContainer = document.getElementById('cursors-container');
-		let cursorEl = document.getElementById(`cursor-${user.id}`);
+	// Streamed points may have been dropped on the way, so the commit carries the whole stroke
+	endLiveStroke(stroke) {
+		this.pendingPoints = [];
+		this.queueOp('stroke-end', { roomId: this.roomId, strokeId: stroke.id, points: stroke.points }, {
+			strokeIds: [stroke.id],
+			reapply: () => { this.setElement(stroke); },
+			// The server drops half-streamed strokes on disconnect, so a retry sends the whole stroke
+			fallback: () => ['add-stroke', { roomId: this.roomId, strokeData: this.strokeForSync(stroke) }],
+			onReject: (res) => {
+				// Not committed - drop the optimistic stroke
+				this.removeElement(stroke.id);
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	commitShape(shape) {
+		const [a, b] = shape.points;
+		if (Math.hypot(b.x - a.x, b.y - a.y) < 2 / this.camera.zoom) {
+			// A click without a drag - nothing to draw
+			this.removeElement(shape.id);
+			return;
+		}
+		this.queueOp('add-stroke', { roomId: this.roomId, strokeData: this.strokeForSync(shape) }, {
+			strokeIds: [shape.id],
+			reapply: () => { this.setElement(shape); },
+			onReject: (res) => {
+				this.removeElement(shape.id);
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	// --- Text & Sticky Notes ---
+	createTextElement(type, worldPos) {
+		const isSticky = type === 'sticky';
+		const width = isSticky ? 200 : 300;
+		const height = isSticky ? 200 : this.currentFontSize * 1.3;
+		return {
+			id: this.generateId(),
+			type,
+			color: this.currentColor,
+			size: this.currentSize,
+			strokeStyle: 'solid',
+			opacity: this.currentOpacity,
+			text: '',
+			fontSize: this.currentFontSize,
+			background: isSticky ? (this.currentFill || '#fff59d') : this.currentFill,
+			points: [{ ...worldPos }, { x: worldPos.x + width, y: worldPos.y + height }],
+			z: this.nextZ()
+		};
+	}
+
+	// Topmost text or sticky element under a world point
+	textElementAt(worldPos) {
+		let found = null;
+		for (const [, el] of this.elementsIn(this.rectAround(worldPos, 0))) {
+			if (!this.textTools.includes(el.type)) continue;
+			const p = this.toElementSpace(el, worldPos);
+			if (this.pointInRect(p, this.rectFromPoints(el.points[0], el.points[1]))) found = el;
+		}
+		return found;
+	}
+
+	openTextEditor(el, isNew) {
+		if (this.textEditor) this.closeTextEditor(true);
+		const textarea = document.createElement('textarea');
+		textarea.className = `text-editor ${el.type}`;
+		textarea.value = el.text;
+		textarea.spellcheck = false;
+		textarea.addEventListener('blur', () => {
+			if (this.textEditor && this.textEditor.textarea === textarea) this.closeTextEditor(true);
+		});
+		// Grow with the text instead of scrolling
+		const fit = () => {
+			textarea.style.height = 'auto';
+			textarea.style.height = `${textarea.scrollHeight}px`;
+		};
+		textarea.addEventListener('input', fit);
+		textarea.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeTextEditor(false);
+			} else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+				e.preventDefault();
+				this.closeTextEditor(true);
+			}
+		});
+		document.body.appendChild(textarea);
+		if (isNew) this.setElement(el); // Local preview until the text is committed
+		this.textEditor = { el, textarea, isNew };
+		this.requestRedraw(); // The editor stands in for the element while open
+		this.positionTextEditor();
+		fit();
+		textarea.focus();
+	}
+
+	// Keep the editor over its element as the camera moves
+	positionTextEditor() {
+		const { el, textarea } = this.textEditor;
+		const r = this.rectFromPoints(el.points[0], el.points[1]);
+		const topLeft = this.worldToScreen({ x: r.x, y: r.y });
+		const zoom = this.camera.zoom;
+		Object.assign(textarea.style, {
+			left: `${topLeft.x}px`,
+			top: `${topLeft.y}px`,
+			width: `${r.w * zoom}px`,
+			minHeight: `${r.h * zoom}px`,
+			padding: `${this.textPadding(el) * zoom}px`,
+			fontSize: `${el.fontSize * zoom}px`,
+			lineHeight: `${el.fontSize * 1.3 * zoom}px`,
+			color: el.color,
+			background: el.background || 'transparent',
+			transformOrigin: `${r.w * zoom / 2}px ${r.h * zoom / 2}px`,
+			transform: el.rotation ? `rotate(${el.rotation}rad)` : ''
+		});
+	}
+
+	closeTextEditor(commit) {
+		const { el, textarea, isNew } = this.textEditor;
+		this.textEditor = null;
+		const text = textarea.value;
+		textarea.remove();
+		this.requestRedraw();
+
+		if (isNew) {
+			if (!commit || !text.trim()) {
+				this.removeElement(el.id);
+				return;
+			}
+			el.text = text;
+			el.points[1].y = el.points[0].y + this.textHeight(el);
+			this.elementsChanged([el.id]);
+			this.queueOp('add-stroke', { roomId: this.roomId, strokeData: this.strokeForSync(el) }, {
+				strokeIds: [el.id],
+				reapply: () => { this.setElement(el); },
+				onReject: (res) => {
+					this.removeElement(el.id);
+					this.showToast(res.message);
+				}
+			});
+			return;
+		}
+
+		// The element may have been deleted or replaced while we were editing it
+		if (!commit || text === el.text || this.strokes[el.id] !== el) return;
+		const changes = {
+			text,
+			points: [{ ...el.points[0] }, { x: el.points[1].x, y: el.points[0].y + this.textHeight({ ...el, text }) }]
+		};
+		const previous = { text: el.text, points: el.points };
+		Object.assign(el, changes);
+		this.elementsChanged([el.id]);
+		this.queueOp('update-element', { roomId: this.roomId, strokeId: el.id, changes }, {
+			strokeIds: [el.id],
+			reapply: () => {
+				if (this.strokes[el.id]) Object.assign(this.strokes[el.id], changes);
+				this.elementsChanged([el.id]);
+			},
+			onReject: (res) => {
+				if (res.code === 'not-found') return;
+				if (this.strokes[el.id]) Object.assign(this.strokes[el.id], previous);
+				this.elementsChanged([el.id]);
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	textPadding(el) {
+		return el.type === 'sticky' ? 12 : 0;
+	}
+
+	// Word-wrap an element's text to its box width, in world units
+	layoutText(el) {
+		const width = Math.abs(el.points[1].x - el.points[0].x) - this.textPadding(el) * 2;
+		const key = `${el.text}|${el.fontSize}|${width}`;
+		const cached = this.textLayouts.get(el);
+		if (cached && cached.key === key) return cached.lines;
+
+		this.ctx.save();
+		this.ctx.font = `${el.fontSize}px sans-serif`;
+		const lines = [];
+		for (const paragraph of el.text.split('\n')) {
+			let line = '';
+			for (const word of paragraph.split(' ')) {
+				const candidate = line ? `${line} ${word}` : word;
+				if (line && this.ctx.measureText(candidate).width > width) {
+					lines.push(line);
+					line = word;
+				} else {
+					line = candidate;
+				}
+			}
+			lines.push(line);
+		}
+		this.ctx.restore();
+		this.textLayouts.set(el, { key, lines });
+		return lines;
+	}
+
+	// Height needed to show all of an element's text; sticky notes only grow
+	textHeight(el) {
+		const needed = this.layoutText(el).length * el.fontSize * 1.3 + this.textPadding(el) * 2;
+		if (el.type !== 'sticky') return needed;
+		return Math.max(needed, Math.abs(el.points[1].y - el.points[0].y));
+	}
+
+	// --- Images ---
+	async insertImage(file, worldPos = null) {
+		if (!this.canEdit() || !file) return;
+		if (!this.imageTypes.includes(file.type)) {
+			this.showToast('Only PNG, JPEG, GIF and WebP images are supported.');
+			return;
+		}
+		if (file.size > this.maxImageSize) {
+			this.showToast('Image is too large (max 5 MB).');
+			return;
+		}
+
+		let img;
+		let assetId;
+		try {
+			const res = await fetch('/api/assets', {
+				method: 'POST',
+				headers: { 'Content-Type': file.type, 'Authorization': `Bearer ${this.token}` },
+				body: file
+			});
+			const data = await res.json();
+			if (!res.ok) throw new Error(data.message);
+			assetId = data.assetId;
+			img = this.getImage(assetId);
+			await img.decode();
+		} catch (err) {
+			this.showToast(err.message || 'Image upload failed.');
+			return;
+		}
+
+		// Drop point or middle of the screen; large images start at most 400px on screen
+		const center = worldPos || this.screenToWorld({ x: this.canvas.width / 2, y: this.canvas.height / 2 });
+		const scale = Math.min(1, 400 / this.camera.zoom / Math.max(img.naturalWidth, img.naturalHeight));
+		const w = img.naturalWidth * scale;
+		const h = img.naturalHeight * scale;
+		const el = {
+			id: this.generateId(),
+			type: 'image',
+			assetId,
+			color: this.currentColor,
+			size: 1,
+			strokeStyle: 'solid',
+			opacity: this.currentOpacity,
+			points: [{ x: center.x - w / 2, y: center.y - h / 2 }, { x: center.x + w / 2, y: center.y + h / 2 }],
+			z: this.nextZ()
+		};
+		this.setElement(el);
+		this.queueOp('add-stroke', { roomId: this.roomId, strokeData: this.strokeForSync(el) }, {
+			strokeIds: [el.id],
+			reapply: () => { this.setElement(el); },
+			onReject: (res) => {
+				this.removeElement(el.id);
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	// Images are cached by asset ID; the server lets the browser cache them forever too
+	getImage(assetId) {
+		let img = this.images.get(assetId);
+		if (!img) {
+			img = new Image();
+			img.onload = () => this.requestRedraw();
+			img.src = `/api/assets/${assetId}`;
+			this.images.set(assetId, img);
+		}
+		return img;
+	}
+
+	// --- Export ---
+	// Elements and world rectangle for an export scope: 'view', 'selection' or 'board'
+	exportArea(scope) {
+		if (scope === 'view') {
+			const bounds = this.viewportRect();
+			return { elements: this.elementsIn(bounds).map(([, el]) => el), bounds };
+		}
+		const elements = scope === 'selection'
+			? Array.from(this.selectedStrokeIds, id => this.strokes[id]).filter(Boolean)
+			: Object.values(this.strokes);
+		const content = BoardExport.bounds(elements);
+		if (!content) return null;
+		const padding = 20;
+		return {
+			elements,
+			bounds: { x: content.x - padding, y: content.y - padding, w: content.w + padding * 2, h: content.h + padding * 2 }
+		};
+	}
+
+	async exportBoard(format, scope) {
+		if (format === 'json') return this.exportDocument();
+		const area = this.exportArea(scope);
+		if (!area) {
+			this.showToast(scope === 'selection' ? 'Nothing is selected.' : 'The board is empty.');
+			return;
+		}
+		try {
+			// Images must be loaded before they can be drawn
+			await Promise.all(area.elements
+				.filter(el => el.type === 'image')
+				.map(el => this.getImage(el.assetId).decode().catch(() => {})));
+			let blob;
+			if (format === 'svg') {
+				blob = new Blob([await this.exportSvg(area)], { type: 'image/svg+xml' });
+			} else {
+				const canvas = this.renderExportCanvas(area);
+				if (format === 'png') {
+					blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+				} else {
+					const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.92));
+					const data = new Uint8Array(await jpeg.arrayBuffer());
+					// Page in points, 0.75pt per board unit like 1px in CSS (PDF pages max out at 14400pt)
+					const points = Math.min(0.75, 14400 / Math.max(area.bounds.w, area.bounds.h));
+					const pdf = BoardExport.pdf(
+						{ width: canvas.width, height: canvas.height, data, filter: 'DCTDecode' },
+						{ width: area.bounds.w * points, height: area.bounds.h * points }
+					);
+					blob = new Blob([pdf], { type: 'application/pdf' });
+				}
+			}
+			this.download(blob, `board-${this.roomId}.${format}`);
+		} catch (err) {
+			this.showToast('Export failed.');
+		}
+	}
+
+	// The board document (docs/board-format.md) is built by the server and always covers the whole board
+	async exportDocument() {
+		try {
+			const response = await fetch(`/api/rooms/${this.roomId}/export?format=json`, {
+				headers: { 'Authorization': `Bearer ${this.token}` }
+			});
+			if (!response.ok) throw new Error(`Export failed with status ${response.status}`);
+			this.download(await response.blob(), `board-${this.roomId}.json`);
+		} catch (err) {
+			this.showToast('Export failed.');
+		}
+	}
+
+	async exportSvg({ elements, bounds }) {
+		const hrefs = new Map();
+		for (const el of elements) {
+			if (el.type === 'image' && !hrefs.has(el.assetId)) hrefs.set(el.assetId, await this.imageDataUrl(el.assetId));
+		}
+		// Wrap text with the same measurements as the canvas
+		this.ctx.save();
+		const measureText = (text, fontSize) => {
+			this.ctx.font = `${fontSize}px sans-serif`;
+			return this.ctx.measureText(text).width;
+		};
+		const svg = BoardExport.svg(elements, { bounds, imageHref: assetId => hrefs.get(assetId), measureText });
+		this.ctx.restore();
+		return svg;
+	}
+
+	// Images are embedded so the SVG works on its own
+	async imageDataUrl(assetId) {
+		try {
+			const res = await fetch(`/api/assets/${assetId}`);
+			if (!res.ok) return null;
+			const blob = await res.blob();
+			return await new Promise((resolve, reject) => {
+				const reader = new FileReader();
+				reader.onload = () => resolve(reader.result);
+				reader.onerror = reject;
+				reader.readAsDataURL(blob);
+			});
+		} catch (err) {
+			return null;
+		}
+	}
+
+	// Draw the elements onto a fresh canvas at up to 2x, white background
+	renderExportCanvas({ elements, bounds }, maxSize = 8192) {
+		const scale = Math.min(2, maxSize / Math.max(bounds.w, bounds.h));
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.max(1, Math.round(bounds.w * scale));
+		canvas.height = Math.max(1, Math.round(bounds.h * scale));
+		const ctx = canvas.getContext('2d');
+		ctx.fillStyle = '#ffffff';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.lineCap = 'round';
+		ctx.lineJoin = 'round';
+		ctx.scale(scale, scale);
+		ctx.translate(-bounds.x, -bounds.y);
+		// drawElement paints on this.ctx, so point it at the export canvas for a moment
+		const screen = this.ctx;
+		this.ctx = ctx;
+		try {
+			for (const el of [...elements].sort((a, b) => (a.z || 0) - (b.z || 0))) this.drawElement(el);
+		} finally {
+			this.ctx = screen;
+		}
+		return canvas;
+	}
+
+	// Only clients that change the board refresh its thumbnail, once things settle down
+	scheduleThumbnail() {
+		clearTimeout(this.thumbnailTimer);
+		this.thumbnailTimer = setTimeout(() => this.uploadThumbnail(), this.thumbnailDelay);
+	}
+
+	async uploadThumbnail() {
+		// The dashboard shows the first page
+		if (this.pages.length && this.pageId !== this.pages[0].id) return;
+		const headers = { 'Authorization': `Bearer ${this.token}` };
+		try {
+			const area = this.exportArea('board');
+			let thumbnail = null; // An empty board has none
+			if (area) {
+				const canvas = this.renderExportCanvas(area, 320);
+				const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+				const upload = await fetch('/api/assets', { method: 'POST', headers: { ...headers, 'Content-Type': 'image/jpeg' }, body: blob });
+				if (!upload.ok) return;
+				thumbnail = (await upload.json()).assetId;
+			}
+			await fetch(`/api/rooms/${this.roomId}`, {
+				method: 'PATCH',
+				headers: { ...headers, 'Content-Type': 'application/json' },
+				body: JSON.stringify({ thumbnail })
+			});
+		} catch (err) {
+			// The thumbnail is cosmetic; try again after the next change
+		}
+	}
+
+	download(blob, filename) {
+		const url = URL.createObjectURL(blob);
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0);
+	}
+
+	strokeForSync(stroke) {
+		// authorId is assigned by the server
+		const { authorId, ...data } = stroke;
+		return data;
+	}
+
+	// --- Sync Queue ---
+	generateId() {
+		if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+		// randomUUID is only available in secure contexts
+		const bytes = crypto.getRandomValues(new Uint8Array(16));
+		return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+	}
+
+	// Send a mutation and keep it until the server acknowledges it.
+	// Unacknowledged operations are resent after a reconnect; the opId lets
+	// the server recognise ones it already applied. Operations belong to the
+	// page on screen when they were made, even if we move to another page.
+	queueOp(event, payload, { strokeIds = [], fallback = null, onReject = null, reapply = null } = {}) {
+		const entry = { opId: this.generateId(), pageId: this.pageId, event, payload, strokeIds, fallback, onReject, reapply };
+		entry.payload.pageId = entry.pageId;
+		entry.payload.opId = entry.opId;
+		if (reapply) {
+			// Remember operations we applied optimistically so their echo is not applied twice
+			this.ownOpIds.add(entry.opId);
+			if (this.ownOpIds.size > 1000) this.ownOpIds.delete(this.ownOpIds.values().next().value);
+		}
+		this.pendingOps.set(entry.opId, entry);
+		strokeIds.forEach(id => this.unsyncedStrokeIds.add(id));
+		this.requestRedraw();
+		this.scheduleThumbnail();
+		this.sendOp(entry);
+		return entry;
+	}
+
+	sendOp(entry) {
+		if (!this.socket.connected) return;
+		this.socket.timeout(this.ackTimeout).emit(entry.event, entry.payload, (err, res) => {
+			// No ack in time - leave it pending for the next reconnect
+			if (err) return;
+			this.settleOp(entry, res);
+		});
+	}
+
+	settleOp(entry, res) {
+		if (!this.pendingOps.has(entry.opId)) return;
+		if (!res.success && res.code === 'not-found' && entry.fallback) {
+			this.useFallback(entry);
+			this.sendOp(entry);
+			return;
+		}
+		this.pendingOps.delete(entry.opId);
+		this.refreshUnsynced();
+		// Rolling back only makes sense on the page the operation was made on
+		if (!res.success && entry.onReject && entry.pageId === this.pageId) entry.onReject(res);
+	}
+
+	useFallback(entry) {
+		const [event, payload] = entry.fallback();
+		entry.event = event;
+		entry.payload = { ...payload, pageId: entry.pageId, opId: entry.opId };
+		entry.fallback = null;
+	}
+
+	retryPendingOps() {
+		for (const entry of this.pendingOps.values()) {
+			if (entry.fallback) this.useFallback(entry);
+			this.sendOp(entry);
+		}
+	}
+
+	refreshUnsynced() {
+		this.unsyncedStrokeIds.clear();
+		for (const entry of this.pendingOps.values()) {
+			entry.strokeIds.forEach(id => this.unsyncedStrokeIds.add(id));
+		}
+		this.requestRedraw();
+	}
+
+	// --- Rendering ---
+	// Frames are only painted after something on screen changed
+	animate() {
+		if (this.followingUserId) this.stepFollow();
+		if (this.needsRedraw) {
+			this.needsRedraw = false;
+			this.draw();
+		}
+		requestAnimationFrame(this.animate.bind(this));
+	}
+
+	requestRedraw() {
+		this.needsRedraw = true;
+	}
+
+	// The visible part of the board in world coordinates
+	viewportRect() {
+		const topLeft = this.screenToWorld({ x: 0, y: 0 });
+		const bottomRight = this.screenToWorld({ x: this.canvas.width, y: this.canvas.height });
+		return { x: topLeft.x, y: topLeft.y, w: bottomRight.x - topLeft.x, h: bottomRight.y - topLeft.y };
+	}
+
+	draw() {
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		
+		this.ctx.save();
+		this.ctx.translate(this.camera.x, this.camera.y);
+		this.ctx.scale(this.camera.zoom, this.camera.zoom);
+
+		this.drawGrid();
+
+		// Draw the saved strokes on screen, faded while they are not yet confirmed by the server
+		for (const [id, el] of this.elementsIn(this.viewportRect())) {
+			// The element being edited is shown by the text editor instead
+			if (this.textEditor && this.textEditor.el.id === id) continue;
+			this.ctx.globalAlpha = this.unsyncedStrokeIds.has(id) ? 0.4 : 1;
+			this.drawElement(el);
+		}
+		this.ctx.globalAlpha = 1;
+		// Draw strokes other users are still drawing
+		for (const id in this.liveStrokes) {
+			this.drawElement(this.liveStrokes[id]);
+		}
+
+		if (this.currentTool === 'select') {
+			const bounds = this.selectionBounds();
+			if (bounds) this.drawSelection(bounds);
+		}
+		if (this.currentTool === 'eraser') this.drawEraser();
+
+		// Draw selection rectangle in world space
+		if (this.selectionRect) {
+			this.ctx.save();
+			this.ctx.strokeStyle = '#007bff';
+			this.ctx.setLineDash([4, 4]);
+			this.ctx.lineWidth = 1 / this.camera.zoom;
+			this.ctx.fillStyle = 'rgba(0, 123, 255, 0.08)';
+			this.ctx.strokeRect(this.selectionRect.x, this.selectionRect.y, this.selectionRect.w, this.selectionRect.h);
+			this.ctx.fillRect(this.selectionRect.x, this.selectionRect.y, this.selectionRect.w, this.selectionRect.h);
+			this.ctx.restore();
+		}
+
+		this.ctx.restore();
+
+		if (this.textEditor) this.positionTextEditor();
+
+		// Update remote cursor DOM positions to follow camera
+		for (const userId in this.remoteCursorPositions) {
+			this.positionRemoteCursor(userId);
+		}
+		this.positionComments();
+
+		this.drawMinimap();
+		this.sendViewport();
+	}
+
+	positionRemoteCursor(userId) {
+		const screenPos = this.worldToScreen(this.remoteCursorPositions[userId]);
+		const el = this.remoteCursors[userId];
+		if (el) {
+			el.style.transform = `translate(${screenPos.x}px, ${screenPos.y}px)`;
+		}
+	}
+
+	removeRemoteCursor(userId) {
+		if (this.remoteCursors[userId]) this.remoteCursors[userId].remove();
+		clearTimeout(this.cursorIdleTimers[userId]);
+		clearTimeout(this.cursorChatTimers[userId]);
+		delete this.remoteCursors[userId];
+		delete this.remoteCursorPositions[userId];
+		delete this.cursorIdleTimers[userId];
+		delete this.cursorChatTimers[userId];
+	}
+
+	clearRemoteCursors() {
+		for (const userId in this.remoteCursors) this.removeRemoteCursor(userId);
+	}
+
+	// --- Minimap ---
+	// Element boxes of the page with our view and the views of others on the same page.
+	// Click or drag on it to move the camera there.
+	setupMinimap() {
+		let dragging = false;
+		const moveTo = (e) => {
+			const rect = this.minimap.getBoundingClientRect();
+			const point = this.minimapToWorld({ x: e.clientX - rect.left, y: e.clientY - rect.top });
+			if (!point) return;
+			this.stopFollowing();
+			this.camera.x = this.canvas.width / 2 - point.x * this.camera.zoom;
+			this.camera.y = this.canvas.height / 2 - point.y * this.camera.zoom;
+			this.requestRedraw();
+		};
+		this.minimap.addEventListener('pointerdown', (e) => {
+			dragging = true;
+			this.minimap.setPointerCapture(e.pointerId);
+			moveTo(e);
+		});
+		this.minimap.addEventListener('pointermove', (e) => { if (dragging) moveTo(e); });
+		this.minimap.addEventListener('pointerup', () => { dragging = false; });
+		this.minimap.addEventListener('pointercancel', () => { dragging = false; });
+	}
+
+	minimapToWorld(point) {
+		const t = this.minimapTransform;
+		if (!t) return null;
+		return { x: t.x + (point.x - t.offsetX) / t.scale, y: t.y + (point.y - t.offsetY) / t.scale };
+	}
+
+	// Draw every element's box once into minimapLayer, so panning only has to copy it
+	renderMinimapContent() {
+		let bounds = null;
+		for (const id in this.strokes) {
+			const box = this.index.boxOf(id);
+			if (box) bounds = bounds ? this.unionRects(bounds, box) : box;
+		}
+		const layer = this.minimapLayer;
+		layer.width = this.minimap.width;
+		layer.height = this.minimap.height;
+		this.minimapContent = bounds;
+		if (!bounds) return;
+		const ctx = layer.getContext('2d');
+		const scale = Math.min(layer.width / Math.max(bounds.w, 1), layer.height / Math.max(bounds.h, 1));
+		ctx.fillStyle = '#9aa0a6';
+		for (const id in this.strokes) {
+			const box = this.index.boxOf(id);
+			if (!box) continue;
+			ctx.fillRect((box.x - bounds.x) * scale, (box.y - bounds.y) * scale, Math.max(box.w * scale, 1), Math.max(box.h * scale, 1));
+		}
+	}
+
+	drawMinimap() {
+		const now = Date.now();
+		if (this.minimapDirty) {
+			if (now - this.minimapRenderedAt >= this.minimapInterval) {
+				this.minimapDirty = false;
+				this.minimapRenderedAt = now;
+				this.renderMinimapContent();
+			} else {
+				// Come back once the interval is over, even if nothing else changes
+				clearTimeout(this.minimapTimer);
+				this.minimapTimer = setTimeout(() => this.requestRedraw(), this.minimapInterval);
+			}
+		}
+
+		const view = this.viewportRect();
+		const others = Object.entries(this.remoteViewports)
+			.filter(([userId, viewport]) => userId !== this.currentUser.id && viewport.pageId === this.pageId);
+		// Fit the content and everyone's view, with a margin
+		let world = view;
+		if (this.minimapContent) world = this.unionRects(world, this.minimapContent);
+		for (const [, viewport] of others) world = this.unionRects(world, viewport);
+		const margin = Math.max(world.w, world.h) * 0.05;
+		world = { x: world.x - margin, y: world.y - margin, w: world.w + margin * 2, h: world.h + margin * 2 };
+
+		const { width, height } = this.minimap;
+		const scale = Math.min(width / world.w, height / world.h);
+		const offsetX = (width - world.w * scale) / 2;
+		const offsetY = (height - world.h * scale) / 2;
+		this.minimapTransform = { x: world.x, y: world.y, scale, offsetX, offsetY };
+		const toMinimap = (r) => ({
+			x: offsetX + (r.x - world.x) * scale,
+			y: offsetY + (r.y - world.y) * scale,
+			w: r.w * scale,
+			h: r.h * scale
+		});
+
+		const ctx = this.minimap.getContext('2d');
+		ctx.clearRect(0, 0, width, height);
+		if (this.minimapContent) {
+			const content = this.minimapContent;
+			const layerScale = Math.min(width / Math.max(content.w, 1), height / Math.max(content.h, 1));
+			const dest = toMinimap(content);
+			ctx.drawImage(this.minimapLayer, 0, 0, content.w * layerScale, content.h * layerScale, dest.x, dest.y, dest.w, dest.h);
+		}
+		ctx.lineWidth = 2;
+		for (const [userId, viewport] of others) {
+			const r = toMinimap(viewport);
+			ctx.strokeStyle = this.userColor(userId);
+			ctx.strokeRect(r.x, r.y, r.w, r.h);
+		}
+		const own = toMinimap(view);
+		ctx.fillStyle = 'rgba(0, 123, 255, 0.1)';
+		ctx.strokeStyle = '#007bff';
+		ctx.fillRect(own.x, own.y, own.w, own.h);
+		ctx.strokeRect(own.x, own.y, own.w, own.h);
+	}
+	
+	drawGrid() {
+		const gridSize = 50;
+		const scaledGridSize = gridSize * this.camera.zoom;
+		if (scaledGridSize < 5) return; // Don't draw if too small
+		
+		const startWorld = this.screenToWorld({x: 0, y: 0});
+		const endWorld = this.screenToWorld({x: this.canvas.width, y: this.canvas.height});
+		
+		this.ctx.strokeStyle = '#e0e0e0';
+		this.ctx.lineWidth = 1 / this.camera.zoom;
+
+		// All grid lines go into one path and a single stroke() call
+		this.ctx.beginPath();
+		// Vertical lines
+		for (let x = Math.floor(startWorld.x / gridSize) * gridSize; x < endWorld.x; x += gridSize) {
+			this.ctx.moveTo(x, startWorld.y);
+			this.ctx.lineTo(x, endWorld.y);
+		}
+		// Horizontal lines
+		for (let y = Math.floor(startWorld.y / gridSize) * gridSize; y < endWorld.y; y += gridSize) {
+			this.ctx.moveTo(startWorld.x, y);
+			this.ctx.lineTo(endWorld.x, y);
+		}
+		this.ctx.stroke();
+	}
+
+	// Draw any board element; opacity and dash style apply to every type
+	drawElement(el) {
+		if (!el || !Array.isArray(el.points) || el.points.length < 2) return;
+		const ctx = this.ctx;
+		ctx.save();
+		ctx.globalAlpha *= el.opacity === undefined ? 1 : el.opacity;
+		ctx.setLineDash(el.strokeStyle === 'dashed' ? [el.size * 3, el.size * 2] : []);
+		ctx.strokeStyle = el.color;
+		ctx.lineWidth = el.size;
+
+		const [a, b] = el.points;
+		if (el.rotation) {
+			// Box elements rotate around their centre
+			const cx = (a.x + b.x) / 2, cy = (a.y + b.y) / 2;
+			ctx.translate(cx, cy);
+			ctx.rotate(el.rotation);
+			ctx.translate(-cx, -cy);
+		}
+		switch (el.type || 'stroke') {
+			case 'rect': {
+				const r = this.rectFromPoints(a, b);
+				if (el.fill) {
+					ctx.fillStyle = el.fill;
+					ctx.fillRect(r.x, r.y, r.w, r.h);
+				}
+				ctx.strokeRect(r.x, r.y, r.w, r.h);
+				break;
+			}
+			case 'ellipse': {
+				const r = this.rectFromPoints(a, b);
+				ctx.beginPath();
+				ctx.ellipse(r.x + r.w / 2, r.y + r.h / 2, r.w / 2, r.h / 2, 0, 0, Math.PI * 2);
+				if (el.fill) {
+					ctx.fillStyle = el.fill;
+					ctx.fill();
+				}
+				ctx.stroke();
+				break;
+			}
+			case 'line':
+				ctx.beginPath();
+				ctx.moveTo(a.x, a.y);
+				ctx.lineTo(b.x, b.y);
+				ctx.stroke();
+				break;
+			case 'arrow': {
+				ctx.beginPath();
+				ctx.moveTo(a.x, a.y);
+				ctx.lineTo(b.x, b.y);
+				ctx.stroke();
+				// Arrow head is always solid
+				const angle = Math.atan2(b.y - a.y, b.x - a.x);
+				const head = Math.max(10, el.size * 3);
+				ctx.setLineDash([]);
+				ctx.beginPath();
+				ctx.moveTo(b.x - head * Math.cos(angle - Math.PI / 6), b.y - head * Math.sin(angle - Math.PI / 6));
+				ctx.lineTo(b.x, b.y);
+				ctx.lineTo(b.x - head * Math.cos(angle + Math.PI / 6), b.y - head * Math.sin(angle + Math.PI / 6));
+				ctx.stroke();
+				break;
+			}
+			case 'text':
+			case 'sticky':
+				this.drawText(el);
+				break;
+			case 'image':
+				this.drawImage(el);
+				break;
+			default:
+				this.drawStroke(el);
+		}
+		ctx.restore();
+	}
+
+	drawImage(el) {
+		const r = this.rectFromPoints(el.points[0], el.points[1]);
+		const img = this.getImage(el.assetId);
+		if (img.complete && img.naturalWidth) {
+			this.ctx.drawImage(img, r.x, r.y, r.w, r.h);
+			return;
+		}
+		// Placeholder while loading (or if the image is gone)
+		this.ctx.fillStyle = '#f0f0f0';
+		this.ctx.fillRect(r.x, r.y, r.w, r.h);
+		this.ctx.strokeStyle = '#cccccc';
+		this.ctx.lineWidth = 1 / this.camera.zoom;
+		this.ctx.strokeRect(r.x, r.y, r.w, r.h);
+	}
+
+	drawText(el) {
+		const ctx = this.ctx;
+		const r = this.rectFromPoints(el.points[0], el.points[1]);
+		if (el.background) {
+			if (el.type === 'sticky') {
+				ctx.shadowColor = 'rgba(0, 0, 0, 0.2)';
+				ctx.shadowBlur = 8;
+				ctx.shadowOffsetY = 2;
+			}
+			ctx.fillStyle = el.background;
+			ctx.fillRect(r.x, r.y, r.w, r.h);
+			ctx.shadowColor = 'transparent';
+		}
+		const padding = this.textPadding(el);
+		const lineHeight = el.fontSize * 1.3;
+		ctx.fillStyle = el.color;
+		ctx.font = `${el.fontSize}px sans-serif`;
+		ctx.textBaseline = 'middle';
+		this.layoutText(el).forEach((line, i) => {
+			ctx.fillText(line, r.x + padding, r.y + padding + lineHeight * (i + 0.5));
+		});
+	}
+
+	// Lasso while area-erasing, the eraser's reach in partial mode
+	drawEraser() {
+		const ctx = this.ctx;
+		ctx.save();
+		ctx.strokeStyle = '#dc3545';
+		ctx.lineWidth = 1 / this.camera.zoom;
+		if (this.eraserMode === 'area' && this.eraseSession) {
+			ctx.setLineDash([4 / this.camera.zoom, 4 / this.camera.zoom]);
+			ctx.fillStyle = 'rgba(220, 53, 69, 0.08)';
+			ctx.beginPath();
+			this.eraseSession.lasso.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+			ctx.closePath();
+			ctx.fill();
+			ctx.stroke();
+		} else if (this.eraserMode === 'pixel' && this.lastMousePos) {
+			const p = this.screenToWorld(this.lastMousePos);
+			ctx.beginPath();
+			ctx.arc(p.x, p.y, this.eraserRadius(), 0, Math.PI * 2);
+			ctx.stroke();
+		}
+		ctx.restore();
+	}
+
+	drawSelection(bounds) {
+		const ctx = this.ctx;
+		const zoom = this.camera.zoom;
+		const handles = this.selectionHandles(bounds);
+		ctx.save();
+		ctx.strokeStyle = '#007bff';
+		ctx.lineWidth = 1 / zoom;
+		ctx.setLineDash([4 / zoom, 4 / zoom]);
+		ctx.strokeRect(bounds.x, bounds.y, bounds.w, bounds.h);
+		ctx.setLineDash([]);
+		ctx.beginPath();
+		ctx.moveTo(bounds.x + bounds.w / 2, bounds.y);
+		ctx.lineTo(handles.rotate.x, handles.rotate.y);
+		ctx.stroke();
+		ctx.fillStyle = '#ffffff';
+		const size = 8 / zoom;
+		for (const name in handles) {
+			const h = handles[name];
+			ctx.beginPath();
+			if (name === 'rotate') ctx.arc(h.x, h.y, size / 2, 0, Math.PI * 2);
+			else ctx.rect(h.x - size / 2, h.y - size / 2, size, size);
+			ctx.fill();
+			ctx.stroke();
+		}
+		ctx.restore();
+	}
+
+	drawStroke(stroke) {
+		if (!stroke || !Array.isArray(stroke.points) || stroke.points.length < 2) return;
+		
+		this.ctx.strokeStyle = stroke.color;
+		this.ctx.lineWidth = stroke.size;
+		
+		this.ctx.beginPath();
+		this.ctx.moveTo(stroke.points[0].x, stroke.points[0].y);
+		for (let i = 1; i < stroke.points.length; i++) {
+			this.ctx.lineTo(stroke.points[i].x, stroke.points[i].y);
+		}
+		this.ctx.stroke();
+	}
+	
+	// --- UI & Collaboration Updates ---
+	updateMembersList(members) {
+		const listEl = document.getElementById('members-list');
+		const countEl = document.getElementById('userCount');
+		listEl.innerHTML = '';
+
+		const onlineMembers = members.filter(m => m.status === 'online');
+		countEl.textContent = onlineMembers.length;
+
+		const me = members.find(m => m.id === this.currentUser.id);
+		if (me) this.applyRole(me.role);
+		const isOwner = this.role === 'owner';
+
+		members.sort((a, b) => (a.status === 'offline') - (b.status === 'offline') || a.username.localeCompare(b.username));
+
+		// Nobody can show us where they are once they have left
+		this.members = members;
+		const online = new Set(onlineMembers.map(m => m.id));
+		for (const userId in this.remoteViewports) {
+			if (!online.has(userId)) delete this.remoteViewports[userId];
+		}
+		for (const userId in this.remoteCursors) {
+			if (!online.has(userId)) this.removeRemoteCursor(userId);
+		}
+		if (this.followingUserId && !online.has(this.followingUserId)) {
+			this.followingUserId = null;
+			this.showToast('The person you were following left.');
+		}
+		this.requestRedraw();
+
+		members.forEach(member => {
+			const li = document.createElement('li');
+			const statusClass = member.status === 'online' ? 'online' : 'offline';
+			const isSelf = member.id === this.currentUser.id;
+			if (!isSelf && member.status === 'online') {
+				li.dataset.follow = member.id;
+				li.title = member.id === this.followingUserId ? 'Stop following' : `Follow ${member.username}`;
+			}
+			li.classList.toggle('following', member.id === this.followingUserId);
+
+			// Only the owner gets controls, and never for their own entry
+			let actions = '<span class="role-badge"></span>';
+			if (isOwner && !isSelf) {
+				actions = `
+					<select class="role-select">
+						<option value="editor">Editor</option>
+						<option value="viewer">Viewer</option>
+					</select>
+					<button class="owner-btn" title="Transfer ownership">Make owner</button>
+					<button class="kick-btn" title="Remove from the room">Kick</button>
+					<button class="ban-btn" title="Remove and keep out">Ban</button>
+				`;
+			}
+
+			li.innerHTML = `
+				<div>
+					<span class="status-dot ${statusClass}"></span>
+					<span class="member-color"></span>
+					<span class="member-name"></span>
+				</div>
+				<div class="member-actions">${actions}</div>
+			`;
+			// Names and roles come from other users, so they only ever go in as text
+			li.querySelector('.member-color').style.background = this.userColor(member.id);
+			li.querySelector('.member-name').textContent = isSelf ? `${member.username} (You)` : member.username;
+			const badge = li.querySelector('.role-badge');
+			if (badge) badge.textContent = member.role;
+			const roleSelect = li.querySelector('.role-select');
+			if (roleSelect) roleSelect.value = member.role;
+			li.querySelectorAll('.role-select, .owner-btn, .kick-btn, .ban-btn').forEach(el => { el.dataset.userId = member.id; });
+			listEl.appendChild(li);
+		});
+
+		// Owner controls
+		listEl.querySelectorAll('.role-select').forEach(select => {
+			select.addEventListener('change', (e) => {
+				this.setMemberRole(e.target.dataset.userId, e.target.value);
+			});
+		});
+		listEl.querySelectorAll('.owner-btn').forEach(btn => {
+			btn.addEventListener('click', (e) => {
+				if (confirm('Transfer ownership of this room? You will become an editor.')) {
+					this.setMemberRole(e.target.dataset.userId, 'owner');
+				}
+			});
+		});
+		listEl.querySelectorAll('.kick-btn').forEach(btn => {
+			btn.addEventListener('click', (e) => {
+				const userIdToKick = e.target.dataset.userId;
+				if (confirm('Remove this member from the room? They can come back with an invite link.')) {
+					this.socket.emit('kick-user', { roomId: this.roomId, userIdToKick }, (res) => {
+						if (!res.success) this.showToast(res.message);
+					});
+				}
+			});
+		});
+		listEl.querySelectorAll('.ban-btn').forEach(btn => {
+			btn.addEventListener('click', (e) => this.openBanDialog(e.target.dataset.userId));
+		});
+	}
+
+	setMemberRole(userId, role) {
+		this.socket.emit('set-member-role', { roomId: this.roomId, userId, role }, (res) => {
+			if (!res.success) this.showToast(res.message);
+		});
+	}
+
+	// --- Invite Links ---
+	// The invite has done its job once we are in; keep it out of the address bar so it is not shared on
+	forgetInvite() {
+		this.inviteToken = null;
+		this.roomPassword = null;
+		const url = new URL(window.location.href);
+		if (!url.searchParams.has('invite')) return;
+		url.searchParams.delete('invite');
+		history.replaceState(null, '', url);
+	}
+
+	setupInvites() {
+		const panel = document.getElementById('invitePanel');
+		document.getElementById('invitesToggle').addEventListener('click', () => {
+			panel.hidden = !panel.hidden;
+			if (!panel.hidden) {
+				this.loadInvites();
+				this.loadBans();
+			}
+		});
+		document.getElementById('closeInvites').addEventListener('click', () => { panel.hidden = true; });
+		document.getElementById('inviteForm').addEventListener('submit', (e) => {
+			e.preventDefault();
+			const expiry = document.getElementById('inviteExpiry').value;
+			const uses = document.getElementById('inviteUses').value;
+			this.createInvite({
+				role: document.getElementById('inviteRole').value,
+				expiresIn: expiry ? Number(expiry) : null,
+				maxUses: uses ? Number(uses) : null
+			}, (invite) => this.copyText(invite.url, 'Invite link copied!'));
+		});
+		document.getElementById('inviteList').addEventListener('click', (e) => {
+			const btn = e.target.closest('[data-token]');
+			if (!btn) return;
+			const invite = this.invites.find(i => i.token === btn.dataset.token);
+			if (!invite) return;
+			if (btn.dataset.action === 'copy') {
+				this.copyText(invite.url, 'Invite link copied!');
+			} else if (btn.dataset.action === 'revoke' && confirm('Revoke this invite link? People who already joined with it stay in the room.')) {
+				this.socket.emit('revoke-invite', { roomId: this.roomId, token: invite.token }, (res) => {
+					if (!res.success) this.showToast(res.message);
+					this.loadInvites();
+				});
+			}
+		});
+		document.getElementById('setRoomPassword').addEventListener('click', () => {
+			const password = prompt('New room password. People joining without an invite link will need it:');
+			if (password) this.setRoomPassword(password);
+		});
+		document.getElementById('clearRoomPassword').addEventListener('click', () => {
+			if (confirm('Remove the room password? Only invite links will let new people in.')) this.setRoomPassword(null);
+		});
+		document.getElementById('banList').addEventListener('click', (e) => {
+			const btn = e.target.closest('[data-ban-id]');
+			if (!btn) return;
+			this.socket.emit('unban-user', { roomId: this.roomId, banId: btn.dataset.banId }, (res) => {
+				if (!res.success) this.showToast(res.message);
+				this.loadBans();
+			});
+		});
+		const banDialog = document.getElementById('banDialog');
+		banDialog.addEventListener('submit', (e) => {
+			e.preventDefault();
+			this.submitBan();
+		});
+		banDialog.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') this.closeBanDialog();
+		});
+		document.getElementById('cancelBan').addEventListener('click', () => this.closeBanDialog());
+	}
+
+	copyText(path, message) {
+		const url = new URL(path, window.location.origin).href;
+		navigator.clipboard.writeText(url).then(() => this.showToast(message), () => prompt('Copy this link:', url));
+	}
+
+	// Owners copy a standing invite link (editor, no expiry or use limit), made the first time it is needed.
+	// Anyone else copies the board's address, which lets in members and people who know the room password.
+	copyInviteLink() {
+		if (this.role !== 'owner') {
+			this.copyText(`/board.html?room=${this.roomId}`, 'Room link copied!');
+			return;
+		}
+		this.loadInvites(() => {
+			const standing = this.invites.find(i => i.role === 'editor' && i.expiresAt === null && i.maxUses === null);
+			if (standing) {
+				this.copyText(standing.url, 'Invite link copied!');
+			} else {
+				this.createInvite({ role: 'editor', expiresIn: null, maxUses: null }, (invite) => this.copyText(invite.url, 'Invite link copied!'));
+			}
+		});
+	}
+
+	loadInvites(onLoaded) {
+		this.socket.emit('list-invites', { roomId: this.roomId }, (res) => {
+			if (!res.success) {
+				this.showToast(res.message);
+				return;
+			}
+			this.invites = res.invites;
+			this.renderInvites(res.hasPassword);
+			if (onLoaded) onLoaded();
+		});
+	}
+
+	createInvite(options, onCreated) {
+		this.socket.emit('create-invite', { roomId: this.roomId, ...options }, (res) => {
+			if (!res.success) {
+				this.showToast(res.message);
+				return;
+			}
+			this.loadInvites();
+			onCreated(res.invite);
+		});
+	}
+
+	setRoomPassword(password) {
+		this.socket.emit('set-room-password', { roomId: this.roomId, password }, (res) => {
+			if (!res.success) {
+				this.showToast(res.message);
+				return;
+			}
+			this.showToast(res.hasPassword ? 'Room password set.' : 'Room password removed.');
+			this.loadInvites();
+		});
+	}
+
+	// --- Bans ---
+	openBanDialog(userId) {
+		const member = this.members.find(m => m.id === userId);
+		if (!member) return;
+		this.banTarget = member;
+		document.getElementById('banUsername').textContent = member.username;
+		document.getElementById('banReason').value = '';
+		document.getElementById('banIP').checked = false;
+		// Only the IP of someone who is here can be banned
+		document.getElementById('banIP').disabled = member.status !== 'online';
+		document.getElementById('banDialog').hidden = false;
+		document.getElementById('banReason').focus();
+	}
+
+	closeBanDialog() {
+		this.banTarget = null;
+		document.getElementById('banDialog').hidden = true;
+	}
+
+	submitBan() {
+		if (!this.banTarget) return;
+		const duration = document.getElementById('banDuration').value;
+		this.socket.emit('ban-user', {
+			roomId: this.roomId,
+			userId: this.banTarget.id,
+			reason: document.getElementById('banReason').value,
+			duration: duration ? Number(duration) : null,
+			banIP: document.getElementById('banIP').checked
+		}, (res) => {
+			if (!res.success) {
+				this.showToast(res.message);
+				return;
+			}
+			this.showToast(`${res.ban.username} was banned.`);
+			this.closeBanDialog();
+			if (!document.getElementById('invitePanel').hidden) this.loadBans();
+		});
+	}
+
+	loadBans() {
+		this.socket.emit('list-bans', { roomId: this.roomId }, (res) => {
+			if (!res.success) {
+				this.showToast(res.message);
+				return;
+			}
+			this.bans = res.bans;
+			this.renderBans();
+		});
+	}
+
+	renderBans() {
+		const list = document.getElementById('banList');
+		list.innerHTML = '';
+		if (!this.bans.length) {
+			list.innerHTML = '<li class="invite-empty">Nobody is banned</li>';
+		}
+		for (const ban of this.bans) {
+			// Bans carried over from old IP-only kicks have no account
+			const who = ban.username || `IP ${ban.ip}`;
+			const details = [
+				ban.userId && ban.ip ? `and IP ${ban.ip}` : null,
+				ban.expiresAt === null ? 'permanent' : `until ${new Date(ban.expiresAt).toLocaleString()}`,
+				ban.reason
+			].filter(Boolean);
+			const li = document.createElement('li');
+			li.innerHTML = `
+				<div>
+					<div class="ban-name"></div>
+					<div class="invite-details"></div>
+				</div>
+				<div class="invite-actions">
+					<button data-ban-id="${ban.id}">Unban</button>
+				</div>
+			`;
+			li.querySelector('.ban-name').textContent = who;
+			li.querySelector('.invite-details').textContent = details.join(' · ');
+			list.appendChild(li);
+		}
+	}
+
+	renderInvites(hasPassword) {
+		const list = document.getElementById('inviteList');
+		list.innerHTML = '';
+		if (!this.invites.length) {
+			list.innerHTML = '<li class="invite-empty">No invite links yet</li>';
+		}
+		for (const invite of this.invites) {
+			const uses = invite.maxUses === null ? `${invite.uses} uses` : `${invite.uses}/${invite.maxUses} uses`;
+			const expiry = invite.expiresAt === null ? 'never expires' : `expires ${new Date(invite.expiresAt).toLocaleString()}`;
+			const li = document.createElement('li');
+			li.innerHTML = `
+				<div>
+					<div>${invite.role === 'viewer' ? 'Can view' : 'Can edit'}</div>
+					<div class="invite-details">${uses} · ${expiry}</div>
+				</div>
+				<div class="invite-actions">
+					<button data-action="copy" data-token="${invite.token}" title="Copy link"><i class="fa-regular fa-copy"></i></button>
+					<button class="revoke-btn" data-action="revoke" data-token="${invite.token}">Revoke</button>
+				</div>
+			`;
+			list.appendChild(li);
+		}
+		document.getElementById('roomPasswordState').textContent = hasPassword ? 'Room password is set' : 'No room password';
+		document.getElementById('setRoomPassword').textContent = hasPassword ? 'Change' : 'Set password';
+		document.getElementById('clearRoomPassword').hidden = !hasPassword;
+	}
+
+	showToast(message) {
+		const toast = document.getElementById('toast');
+		toast.textContent = message;
+		toast.classList.add('visible');
+		clearTimeout(this.toastTimer);
+		this.toastTimer = setTimeout(() => toast.classList.remove('visible'), 3000);
+	}
+
+	updateRemoteCursor({ user, pos, pageId, tool, drawing }) {
+		if (user.id === this.currentUser.id) return;
+		// Only people on our page have a cursor here
+		if (pageId !== this.pageId) {
+			this.removeRemoteCursor(user.id);
+			return;
+		}
+
+		const cursorsContainer = document.getElementById('cursors-container');
+		let cursorEl = document.getElementById(`cursor-${user.id}`);
 		if (!cursorEl) {
 			cursorEl = document.createElement('div');
 			cursorEl.id = `cursor-${user.id}`;
 			cursorEl.className = 'remote-cursor';
-			cursorEl.innerHTML = `<div class="cursor-label">${user.username}</div>`;
+			const color = this.userColor(user.id);
+			cursorEl.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24"><path d="M4 2l16 10-7 1.5-3.5 6.5z" fill="${color}" stroke="#fff" stroke-width="1.5" stroke-linejoin="round"/></svg>`
+				+ `<div class="cursor-label" style="background: ${color}"><span class="cursor-name"></span><i class="cursor-tool"></i></div>`
+				+ `<div class="cursor-chat" style="border-color: ${color}" hidden></div>`;
+			cursorEl.querySelector('.cursor-name').textContent = user.username;
 			cursorsContainer.appendChild(cursorEl);
 			this.remoteCursors[user.id] = cursorEl;
 		}
+		// The icon of the tool they hold, pulsing while they draw or erase with it
+		const icon = tool && document.querySelector(`.tool-btn[data-tool="${tool}"] i`);
+		cursorEl.querySelector('.cursor-tool').className = icon ? `${icon.className} cursor-tool` : 'cursor-tool';
+		cursorEl.classList.toggle('drawing', !!drawing);
 
-		// Save world position and position will be applied during draw()
+		// Save world position; draw() moves the cursors again when the camera changes
 		this.remoteCursorPositions[user.id] = pos;
+		this.positionRemoteCursor(user.id);
+		this.keepCursorAlive(user.id);
+	}
+
+	// Hide a remote cursor once it has been still for cursorIdleTimeout
+	keepCursorAlive(userId) {
+		clearTimeout(this.cursorIdleTimers[userId]);
+		this.cursorIdleTimers[userId] = setTimeout(() => this.removeRemoteCursor(userId), this.cursorIdleTimeout);
+	}
+
+	showCursorChat({ userId, pageId, text }) {
+		const cursorEl = this.remoteCursors[userId];
+		if (!cursorEl || pageId !== this.pageId) return;
+		const bubble = cursorEl.querySelector('.cursor-chat');
+		bubble.textContent = text;
+		bubble.hidden = !text;
+		clearTimeout(this.cursorChatTimers[userId]);
+		if (text) this.cursorChatTimers[userId] = setTimeout(() => { bubble.hidden = true; }, this.cursorChatDuration);
+		this.keepCursorAlive(userId);
+	}
+
+	// --- Own Cursor ---
+	// Send our cursor at most once per cursorInterval, always with the latest position
+	queueCursor(pos) {
+		this.pendingCursor = pos;
+		if (this.cursorTimer) return;
+		const wait = Math.max(0, this.lastCursorSent + this.cursorInterval - Date.now());
+		this.cursorTimer = setTimeout(() => this.flushCursor(), wait);
+	}
+
+	// Resend our cursor after the tool or drawing state changed without the pointer moving
+	refreshCursor() {
+		const pos = this.pendingCursor || this.cursorWorldPos;
+		if (pos) this.queueCursor(pos);
+	}
+
+	flushCursor() {
+		this.cursorTimer = null;
+		if (!this.pendingCursor || !this.hasJoined || !this.socket.connected) return;
+		this.lastCursorSent = Date.now();
+		this.cursorWorldPos = this.pendingCursor;
+		this.pendingCursor = null;
+		const drawing = this.isDrawing || !!this.currentShape || !!this.isErasing || !!this.transformDrag;
+		this.socket.emit('cursor-move', { pos: this.cursorWorldPos, pageId: this.pageId, tool: this.currentTool, drawing });
+	}
+
+	// Cursor chat: '/' opens a bubble next to our cursor that the page sees as we type.
+	// Enter leaves the message up for a few seconds, Escape takes it down.
+	openCursorChat() {
+		if (this.cursorChat || !this.cursorWorldPos || !this.hasJoined) return;
+		const input = document.createElement('input');
+		input.className = 'cursor-chat-input';
+		input.maxLength = 100; // Same limit as the server
+		input.placeholder = 'Say something';
+		input.style.borderColor = this.userColor(this.currentUser.id);
+		this.cursorChat = { input, text: '', pageId: this.pageId, timer: null };
+		document.body.appendChild(input);
+		this.positionCursorChat();
+		input.focus();
+		input.addEventListener('input', () => this.sendCursorChat(input.value));
+		input.addEventListener('keydown', (e) => {
+			if (e.key !== 'Enter' && e.key !== 'Escape') return;
+			e.preventDefault();
+			this.closeCursorChat(e.key === 'Escape');
+		});
+		input.addEventListener('blur', () => this.closeCursorChat(false));
+	}
+
+	positionCursorChat() {
+		const screenPos = this.worldToScreen(this.pendingCursor || this.cursorWorldPos);
+		this.cursorChat.input.style.transform = `translate(${screenPos.x}px, ${screenPos.y}px)`;
+	}
+
+	// Typing sends at most every cursorInterval; the last text always goes out
+	sendCursorChat(text) {
+		const chat = this.cursorChat;
+		chat.text = text;
+		chat.pageId = this.pageId;
+		if (chat.timer) return;
+		chat.timer = setTimeout(() => {
+			chat.timer = null;
+			if (this.socket.connected) this.socket.emit('cursor-chat', { roomId: this.roomId, pageId: chat.pageId, text: chat.text });
+		}, this.cursorInterval);
+	}
+
+	closeCursorChat(clear) {
+		if (!this.cursorChat) return;
+		const { input } = this.cursorChat;
+		if (clear) this.sendCursorChat('');
+		this.cursorChat = null;
+		input.remove();
+	}
+
+	// --- Chat & Comments ---
+	setupChat() {
+		const panel = document.getElementById('chatPanel');
+		document.getElementById('chatToggle').addEventListener('click', () => {
+			panel.hidden = !panel.hidden;
+			this.renderChat();
+			if (!panel.hidden) document.getElementById('chatInput').focus();
+		});
+		document.getElementById('closeChat').addEventListener('click', () => { panel.hidden = true; });
+		document.getElementById('chatForm').addEventListener('submit', (e) => {
+			e.preventDefault();
+			const input = document.getElementById('chatInput');
+			if (!input.value.trim()) return;
+			this.emitLiveOp('send-chat', { text: input.value }, () => { input.value = ''; });
+		});
+		document.getElementById('comments-container').addEventListener('click', (e) => {
+			const pin = e.target.closest('.comment-pin');
+			if (pin) this.openComment(pin.dataset.commentId);
+		});
+		const thread = document.getElementById('commentThread');
+		thread.addEventListener('submit', (e) => {
+			e.preventDefault();
+			this.submitThread();
+		});
+		thread.addEventListener('click', (e) => {
+			const btn = e.target.closest('[data-action]');
+			if (btn) this.threadAction(btn.dataset.action);
+		});
+		thread.addEventListener('keydown', (e) => {
+			if (e.key === 'Escape') this.closeThread();
+			// Enter sends, Shift+Enter starts a new line
+			if (e.key === 'Enter' && !e.shiftKey && e.target.tagName === 'TEXTAREA') {
+				e.preventDefault();
+				this.submitThread();
+			}
+		});
+	}
+
+	setDiscussion({ chat, comments }, reads) {
+		this.chat = chat || [];
+		this.comments = comments || {};
+		this.reads = reads || {};
+		this.renderChat();
+		this.renderComments();
+	}
+
+	// Messages from others newer than `readAt`
+	unreadCount(messages, readAt = 0) {
+		return messages.filter(m => m.userId !== this.currentUser.id && m.createdAt > readAt).length;
+	}
+
+	// `target` is 'chat' or a commentId; everything up to the newest message counts as read
+	markRead(target, messages) {
+		const latest = messages.length ? messages[messages.length - 1].createdAt : 0;
+		if (latest <= (this.reads[target] || 0)) return;
+		this.reads[target] = latest;
+		if (this.socket.connected) this.socket.emit('mark-read', { roomId: this.roomId, target, at: latest });
+	}
+
+	messageElement(message) {
+		const li = document.createElement('li');
+		li.className = 'message';
+		const author = document.createElement('span');
+		author.className = 'message-author';
+		author.style.color = this.userColor(message.userId);
+		author.textContent = message.userId === this.currentUser.id ? 'You' : message.username;
+		const time = document.createElement('time');
+		time.className = 'message-time';
+		time.dateTime = new Date(message.createdAt).toISOString();
+		time.textContent = new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+		const text = document.createElement('div');
+		text.className = 'message-text';
+		text.textContent = message.text;
+		li.append(author, time, text);
+		return li;
+	}
+
+	renderChat() {
+		const panel = document.getElementById('chatPanel');
+		if (!panel.hidden) this.markRead('chat', this.chat);
+		const unread = this.unreadCount(this.chat, this.reads.chat);
+		const badge = document.getElementById('chatUnread');
+		badge.textContent = unread;
+		badge.hidden = !unread;
+		if (panel.hidden) return;
+		// Stay at the newest message unless the reader scrolled up
+		const list = document.getElementById('chatMessages');
+		const atBottom = list.scrollHeight - list.scrollTop - list.clientHeight < 20;
+		list.replaceChildren(...this.chat.map(m => this.messageElement(m)));
+		if (atBottom) list.scrollTop = list.scrollHeight;
+	}
+
+	// Pins for the comments on this page, plus the open thread
+	renderComments() {
+		const open = this.openThread && this.comments[this.openThread.commentId];
+		if (open) this.markRead(open.id, open.messages);
+		const container = document.getElementById('comments-container');
+		container.replaceChildren();
+		this.commentPins = {};
+		for (const comment of Object.values(this.comments)) {
+			if (comment.pageId !== this.pageId) continue;
+			const first = comment.messages[0];
+			const pin = document.createElement('button');
+			pin.className = 'comment-pin';
+			pin.classList.toggle('resolved', comment.resolved);
+			pin.classList.toggle('open', comment === open);
+			pin.dataset.commentId = comment.id;
+			pin.style.background = this.userColor(comment.authorId);
+			pin.textContent = first.username.charAt(0).toUpperCase();
+			pin.title = `${first.username}: ${first.text}`;
+			const unread = this.unreadCount(comment.messages, this.reads[comment.id]);
+			if (unread) {
+				const badge = document.createElement('span');
+				badge.className = 'unread-badge';
+				badge.textContent = unread;
+				pin.appendChild(badge);
+			}
+			container.appendChild(pin);
+			this.commentPins[comment.id] = pin;
+		}
+		this.renderThread();
+		this.positionComments();
+	}
+
+	// World position of a comment; pins attached to an element follow it
+	commentPosition(anchor) {
+		const el = anchor.strokeId ? this.strokes[anchor.strokeId] : null;
+		if (!el) return anchor;
+		const pos = CommentAnchor.position(anchor, el);
+		// Where the pin stays if the element is deleted, as the server also records
+		anchor.x = pos.x;
+		anchor.y = pos.y;
+		return pos;
+	}
+
+	positionComments() {
+		for (const id in this.commentPins) {
+			const screenPos = this.worldToScreen(this.commentPosition(this.comments[id].anchor));
+			this.commentPins[id].style.transform = `translate(${screenPos.x}px, ${screenPos.y}px)`;
+		}
+		if (!this.openThread) return;
+		const comment = this.comments[this.openThread.commentId];
+		const screenPos = this.worldToScreen(this.commentPosition(comment ? comment.anchor : this.openThread.anchor));
+		const thread = document.getElementById('commentThread');
+		const x = Math.min(screenPos.x + 24, window.innerWidth - thread.offsetWidth - 10);
+		const y = Math.min(Math.max(screenPos.y - 30, 10), window.innerHeight - thread.offsetHeight - 10);
+		thread.style.transform = `translate(${x}px, ${y}px)`;
+	}
+
+	renderThread() {
+		const thread = document.getElementById('commentThread');
+		const open = this.openThread;
+		const comment = open && open.commentId ? this.comments[open.commentId] : null;
+		// The thread was deleted or is on another page
+		if (open && open.commentId && (!comment || comment.pageId !== this.pageId)) this.openThread = null;
+		if (!this.openThread) {
+			thread.hidden = true;
+			thread.innerHTML = '';
+			return;
+		}
+		// Keep a half-typed reply when the thread is redrawn for someone else's message
+		const oldInput = thread.querySelector('textarea');
+		const draft = oldInput ? oldInput.value : '';
+		const hadFocus = oldInput && document.activeElement === oldInput;
+		const title = comment ? (comment.resolved ? 'Resolved' : 'Comment') : 'New comment';
+		thread.innerHTML = `
+			<div class="thread-header">
+				<span class="thread-title">${title}</span>
+				${comment && this.canResolveComment(comment) ? `<button type="button" data-action="resolve">${comment.resolved ? 'Reopen' : 'Resolve'}</button>` : ''}
+				${comment && this.canDeleteComment(comment) ? '<button type="button" data-action="delete" title="Delete thread"><i class="fa-solid fa-trash"></i></button>' : ''}
+				<button type="button" data-action="close" title="Close"><i class="fa-solid fa-xmark"></i></button>
+			</div>
+			<ul class="thread-messages"></ul>
+			<form class="thread-form">
+				<textarea rows="2" maxlength="2000" placeholder="${comment ? 'Reply' : 'Add a comment'}"></textarea>
+				<button type="submit" title="Send"><i class="fa-solid fa-paper-plane"></i></button>
+			</form>`;
+		if (comment) thread.querySelector('.thread-messages').append(...comment.messages.map(m => this.messageElement(m)));
+		const input = thread.querySelector('textarea');
+		input.value = draft;
+		if (hadFocus) input.focus();
+		thread.hidden = false;
+	}
+
+	canResolveComment(comment) {
+		return comment.authorId === this.currentUser.id || this.canEdit();
+	}
+
+	canDeleteComment(comment) {
+		return comment.authorId === this.currentUser.id || this.role === 'owner';
+	}
+
+	// A new comment where we clicked, attached to the element under the pointer if there is one
+	startComment(worldPos) {
+		this.openThread = { anchor: CommentAnchor.create(worldPos, this.elementAt(worldPos)) };
+		this.renderComments();
+		document.querySelector('#commentThread textarea').focus();
+	}
+
+	openComment(commentId) {
+		this.openThread = { commentId };
+		this.renderComments();
+		document.querySelector('#commentThread textarea').focus();
+	}
+
+	closeThread() {
+		if (!this.openThread) return;
+		this.openThread = null;
+		this.renderComments();
+	}
+
+	submitThread() {
+		const open = this.openThread;
+		const text = document.querySelector('#commentThread textarea').value;
+		if (!open || !text.trim()) return;
+		// The thread may have been redrawn by the time the server answers
+		const clearInput = () => {
+			const input = document.querySelector('#commentThread textarea');
+			if (input) input.value = '';
+		};
+		if (open.commentId) {
+			this.emitLiveOp('reply-comment', { commentId: open.commentId, text }, clearInput);
+			return;
+		}
+		const { anchor } = open;
+		this.emitLiveOp('add-comment', {
+			pageId: this.pageId,
+			pos: this.commentPosition(anchor),
+			strokeId: anchor.strokeId,
+			text
+		}, (res) => {
+			clearInput();
+			if (this.openThread !== open) return;
+			this.openThread = { commentId: res.commentId };
+			this.renderComments();
+		});
+	}
+
+	threadAction(action) {
+		const commentId = this.openThread && this.openThread.commentId;
+		const comment = this.comments[commentId];
+		if (action === 'close') {
+			this.closeThread();
+		} else if (action === 'resolve' && comment) {
+			this.emitLiveOp('resolve-comment', { commentId, resolved: !comment.resolved });
+		} else if (action === 'delete' && comment) {
+			if (confirm('Delete this comment and all its replies?')) this.emitLiveOp('delete-comment', { commentId });
+		}
+	}
+
+	// --- Presence & Follow ---
+	// Every client derives the same colour from a user's ID, for their cursor, view and name
+	userColor(userId) {
+		let hash = 0;
+		for (const char of String(userId)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+		return `hsl(${Math.abs(hash) % 360}, 70%, 45%)`;
+	}
+
+	setRemoteViewports(viewports) {
+		this.remoteViewports = {};
+		for (const { userId, ...viewport } of viewports || []) {
+			this.remoteViewports[userId] = viewport;
+		}
+		// After a (re)join the room has not seen our view yet
+		this.lastViewportKey = null;
+		this.requestRedraw();
+	}
+
+	// Tell the room what we are looking at, at most once per viewportInterval
+	sendViewport() {
+		if (!this.hasJoined || !this.socket.connected || !this.pageId) return;
+		const rect = this.viewportRect();
+		const key = [this.pageId, rect.x, rect.y, rect.w, rect.h].map(v => typeof v === 'number' ? Math.round(v) : v).join();
+		if (key === this.lastViewportKey) return;
+		const wait = this.lastViewportSent + this.viewportInterval - Date.now();
+		if (wait > 0) {
+			// Send the view we end up with once the interval is over
+			if (!this.viewportTimer) {
+				this.viewportTimer = setTimeout(() => {
+					this.viewportTimer = null;
+					this.sendViewport();
+				}, wait);
+			}
+			return;
+		}
+		this.lastViewportKey = key;
+		this.lastViewportSent = Date.now();
+		this.socket.emit('viewport-update', { roomId: this.roomId, pageId: this.pageId, ...rect });
+	}
+
+	toggleFollow(userId) {
+		if (userId === this.followingUserId) {
+			this.stopFollowing();
+			return;
+		}
+		const member = this.members.find(m => m.id === userId);
+		this.followingUserId = userId;
+		this.updateMembersList(this.members);
+		if (member) this.showToast(`Following ${member.username}. Pan or zoom to stop.`);
+	}
+
+	stopFollowing() {
+		if (!this.followingUserId) return;
+		this.followingUserId = null;
+		this.updateMembersList(this.members);
+	}
+
+	// Ease the camera a step towards the view of the member we follow, fitting it to our screen
+	stepFollow() {
+		const viewport = this.remoteViewports[this.followingUserId];
+		if (!viewport) return;
+		if (viewport.pageId !== this.pageId) {
+			if (this.socket.connected && this.pages.some(p => p.id === viewport.pageId)) this.switchPage(viewport.pageId);
+			return;
+		}
+		const zoom = Math.max(this.minZoom, Math.min(this.maxZoom,
+			Math.min(this.canvas.width / viewport.w, this.canvas.height / viewport.h)));
+		const target = { x: viewport.x + viewport.w / 2, y: viewport.y + viewport.h / 2 };
+		const center = this.screenToWorld({ x: this.canvas.width / 2, y: this.canvas.height / 2 });
+		const distance = Math.hypot(target.x - center.x, target.y - center.y) * this.camera.zoom;
+		if (distance < 0.5 && Math.abs(Math.log(zoom / this.camera.zoom)) < 0.001) return;
+		// Zoom eases on a log scale so zooming in and out feel the same
+		this.camera.zoom *= Math.pow(zoom / this.camera.zoom, this.followEasing);
+		const next = this.lerpPoint(center, target, this.followEasing);
+		this.camera.x = this.canvas.width / 2 - next.x * this.camera.zoom;
+		this.camera.y = this.canvas.height / 2 - next.y * this.camera.zoom;
+		this.requestRedraw();
 	}
 
 	// --- Touch Helpers ---
@@ -616,8 +2966,15 @@ class WhiteboardApp {
 		if (!stroke || !Array.isArray(stroke.points) || stroke.points.length === 0) {
 			return { x: 0, y: 0, w: 0, h: 0 };
 		}
+		let points = stroke.points;
+		if (stroke.rotation) {
+			// Corners of the rotated box
+			const [a, b] = stroke.points;
+			const corners = [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+			points = corners.map(c => this.rotateAround(c, this.elementCenter(stroke), stroke.rotation));
+		}
 		let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-		for (const p of stroke.points) {
+		for (const p of points) {
 			if (p.x < minX) minX = p.x;
 			if (p.y < minY) minY = p.y;
 			if (p.x > maxX) maxX = p.x;
@@ -625,62 +2982,388 @@ class WhiteboardApp {
 		}
 		return { x: minX, y: minY, w: (maxX - minX), h: (maxY - minY) };
 	}
+	// Distance from a world point to an element's outline (0 inside filled shapes)
+	distanceToElement(el, p) {
+		if (!el || !Array.isArray(el.points) || el.points.length === 0) return Infinity;
+		const [a, b] = el.points;
+		p = this.toElementSpace(el, p);
+		switch (el.type || 'stroke') {
+			case 'line':
+			case 'arrow':
+				return this.distanceToSegment(p, a, b);
+			case 'rect':
+				return this.distanceToRect(p, this.rectFromPoints(a, b), !!el.fill);
+			case 'text':
+			case 'sticky':
+			case 'image':
+				return this.distanceToRect(p, this.rectFromPoints(a, b), true);
+			case 'ellipse': {
+				const r = this.rectFromPoints(a, b);
+				const rx = r.w / 2, ry = r.h / 2;
+				const cx = r.x + rx, cy = r.y + ry;
+				if (rx < 1 || ry < 1) return this.distanceToSegment(p, a, b);
+				// Approximate: scale the normalised radial distance back to world units
+				const d = Math.hypot((p.x - cx) / rx, (p.y - cy) / ry);
+				if (el.fill && d <= 1) return 0;
+				return Math.abs(d - 1) * Math.min(rx, ry);
+			}
+			default: {
+				// Freehand: distance to the nearest segment, not just the nearest vertex
+				const points = el.points;
+				if (points.length === 1) return Math.hypot(points[0].x - p.x, points[0].y - p.y);
+				let min = Infinity;
+				for (let i = 0; i < points.length - 1; i++) {
+					min = Math.min(min, this.distanceToSegment(p, points[i], points[i + 1]));
+				}
+				return min;
+			}
+		}
+	}
+	distanceToRect(p, r, filled) {
+		if (filled && this.pointInRect(p, r)) return 0;
+		const tl = { x: r.x, y: r.y }, tr = { x: r.x + r.w, y: r.y };
+		const br = { x: r.x + r.w, y: r.y + r.h }, bl = { x: r.x, y: r.y + r.h };
+		return Math.min(
+			this.distanceToSegment(p, tl, tr), this.distanceToSegment(p, tr, br),
+			this.distanceToSegment(p, br, bl), this.distanceToSegment(p, bl, tl)
+		);
+	}
+	distanceToSegment(p, a, b) {
+		const dx = b.x - a.x, dy = b.y - a.y;
+		const lengthSq = dx * dx + dy * dy;
+		const t = lengthSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+		return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+	}
+	lerpPoint(a, b, t) {
+		return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+	}
+	// Parameters (0..1 along a-b) where segment a-b crosses a circle
+	circleCuts(a, b, center, r) {
+		const dx = b.x - a.x, dy = b.y - a.y;
+		const fx = a.x - center.x, fy = a.y - center.y;
+		const A = dx * dx + dy * dy;
+		const B = 2 * (fx * dx + fy * dy);
+		const C = fx * fx + fy * fy - r * r;
+		const disc = B * B - 4 * A * C;
+		if (!A || disc <= 0) return [];
+		const s = Math.sqrt(disc);
+		return [(-B - s) / (2 * A), (-B + s) / (2 * A)];
+	}
+	// Parameters (0..1 along a-b) where segment a-b crosses a polygon's edges
+	polygonCuts(a, b, polygon) {
+		const cuts = [];
+		const rx = b.x - a.x, ry = b.y - a.y;
+		for (let i = 0; i < polygon.length; i++) {
+			const p = polygon[i], q = polygon[(i + 1) % polygon.length];
+			const sx = q.x - p.x, sy = q.y - p.y;
+			const denom = rx * sy - ry * sx;
+			if (!denom) continue;
+			const t = ((p.x - a.x) * sy - (p.y - a.y) * sx) / denom;
+			const u = ((p.x - a.x) * ry - (p.y - a.y) * rx) / denom;
+			if (u >= 0 && u <= 1) cuts.push(t);
+		}
+		return cuts;
+	}
+	pointInPolygon(p, polygon) {
+		let inside = false;
+		for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+			const a = polygon[i], b = polygon[j];
+			if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+		}
+		return inside;
+	}
+	// Split a polyline into the runs that lie outside a region, or null if it doesn't touch it.
+	// `cuts(a, b)` gives where segment a-b crosses the region's edge, `inside(p)` tests a point.
+	cutPolyline(points, cuts, inside) {
+		if (points.length < 2) return points.length && inside(points[0]) ? [] : null;
+		const pieces = [];
+		let current = [];
+		let changed = false;
+		for (let i = 0; i < points.length - 1; i++) {
+			const a = points[i], b = points[i + 1];
+			const ts = [0, ...cuts(a, b).filter(t => t > 0 && t < 1).sort((x, y) => x - y), 1];
+			for (let j = 0; j < ts.length - 1; j++) {
+				if (inside(this.lerpPoint(a, b, (ts[j] + ts[j + 1]) / 2))) {
+					changed = true;
+					if (current.length >= 2) pieces.push(current);
+					current = [];
+					continue;
+				}
+				if (!current.length) current.push(this.lerpPoint(a, b, ts[j]));
+				current.push(this.lerpPoint(a, b, ts[j + 1]));
+			}
+		}
+		if (!changed) return null;
+		if (current.length >= 2) pieces.push(current);
+		return pieces;
+	}
+	unionRects(a, b) {
+		const x = Math.min(a.x, b.x), y = Math.min(a.y, b.y);
+		return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+	}
 	rectsIntersect(a, b) {
 		return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
 	}
+	rectAround(p, radius) {
+		return { x: p.x - radius, y: p.y - radius, w: radius * 2, h: radius * 2 };
+	}
 	pointInRect(p, r) {
 		return p.x >= r.x && p.x <= r.x + r.w && p.y >= r.y && p.y <= r.y + r.h;
 	}
+	elementCenter(el) {
+		const [a, b] = el.points;
+		return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+	}
+	rotateAround(p, center, angle) {
+		const cos = Math.cos(angle), sin = Math.sin(angle);
+		const x = p.x - center.x, y = p.y - center.y;
+		return { x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos };
+	}
+	// A world point in the unrotated frame of a rotated box element
+	toElementSpace(el, p) {
+		return el.rotation ? this.rotateAround(p, this.elementCenter(el), -el.rotation) : p;
+	}
+	// Topmost element under a world point
+	elementAt(worldPos) {
+		const tolerance = 6 / this.camera.zoom;
+		const elements = this.elementsIn(this.rectAround(worldPos, tolerance));
+		for (let i = elements.length - 1; i >= 0; i--) {
+			const el = elements[i][1];
+			if (this.distanceToElement(el, worldPos) <= tolerance + (el.size || 0) / 2) return el;
+		}
+		return null;
+	}
+	selectionBounds() {
+		let bounds = null;
+		for (const id of this.selectedStrokeIds) {
+			if (!this.strokes[id]) continue;
+			const b = this.strokeBoundingBox(this.strokes[id]);
+			if (!bounds) {
+				bounds = b;
+				continue;
+			}
+			const x = Math.min(bounds.x, b.x), y = Math.min(bounds.y, b.y);
+			bounds = {
+				x, y,
+				w: Math.max(bounds.x + bounds.w, b.x + b.w) - x,
+				h: Math.max(bounds.y + bounds.h, b.y + b.h) - y
+			};
+		}
+		return bounds;
+	}
+	selectionHandles(bounds) {
+		const { x, y, w, h } = bounds;
+		return {
+			nw: { x, y }, ne: { x: x + w, y }, se: { x: x + w, y: y + h }, sw: { x, y: y + h },
+			rotate: { x: x + w / 2, y: y - 24 / this.camera.zoom }
+		};
+	}
+	// Name of the handle under a screen point, if any
+	selectionHandleAt(bounds, screenPos) {
+		const handles = this.selectionHandles(bounds);
+		for (const name in handles) {
+			const p = this.worldToScreen(handles[name]);
+			if (Math.hypot(p.x - screenPos.x, p.y - screenPos.y) <= 8) return name;
+		}
+		return null;
+	}
 
-	// --- History Helpers ---
-	pushHistory(op) {
-		this.undoStack.push(op);
-		this.redoStack = [];
+	// --- Transform Helpers ---
+	// transformPoint/transformElement mirror lib/elements.js so every client ends up with the server's geometry
+	normalizeAngle(angle) {
+		const turn = Math.PI * 2;
+		angle %= turn;
+		if (angle <= -Math.PI) angle += turn;
+		if (angle > Math.PI) angle -= turn;
+		return angle;
 	}
-	undo() {
-		const op = this.undoStack.pop();
-		if (!op) return;
-		if (op.type === 'add') {
-			// Undo add -> delete stroke
-			if (this.strokes[op.strokeId]) {
-				this.socket.emit('delete-stroke', { roomId: this.roomId, strokeId: op.strokeId });
-			}
-			this.redoStack.push(op);
-		} else if (op.type === 'delete') {
-			// Undo delete -> re-add stroke
-			if (op.strokeData) {
-				this.socket.emit('add-stroke', { roomId: this.roomId, strokeData: op.strokeData });
-			}
-			this.redoStack.push(op);
-		} else if (op.type === 'move') {
-			const ids = op.strokeIds;
-			this.socket.emit('update-strokes', { roomId: this.roomId, strokeIds: ids, dx: -op.dx, dy: -op.dy });
-			this.redoStack.push(op);
-		} else if (op.type === 'clear') {
-			// Restore previous strokes snapshot
-			this.strokes = JSON.parse(JSON.stringify(op.before));
-			// Broadcast not implemented for snapshot; re-post each stroke
-			for (const id in this.strokes) {
-				this.socket.emit('add-stroke', { roomId: this.roomId, strokeData: this.strokes[id] });
-			}
-			this.redoStack.push(op);
+	normalizeTransform({ dx = 0, dy = 0, scaleX = 1, scaleY = 1, rotation = 0, origin = { x: 0, y: 0 } }) {
+		return { dx, dy, scaleX, scaleY, rotation: this.normalizeAngle(rotation), origin: { x: origin.x, y: origin.y } };
+	}
+	isTranslation(t) {
+		return t.scaleX === 1 && t.scaleY === 1 && t.rotation === 0;
+	}
+	transformPoint(p, t) {
+		const x = (p.x - t.origin.x) * t.scaleX;
+		const y = (p.y - t.origin.y) * t.scaleY;
+		const cos = Math.cos(t.rotation), sin = Math.sin(t.rotation);
+		return { x: t.origin.x + x * cos - y * sin + t.dx, y: t.origin.y + x * sin + y * cos + t.dy };
+	}
+	transformElement(el, t) {
+		if (!Array.isArray(el.points)) return;
+		if (this.isTranslation(t)) {
+			for (const p of el.points) { p.x += t.dx; p.y += t.dy; }
+			return;
+		}
+		if (!this.rotatableTypes.includes(el.type)) {
+			el.points = el.points.map(p => this.transformPoint(p, t));
+			return;
+		}
+		const [a, b] = el.points;
+		const rotation = el.rotation || 0;
+		const center = this.transformPoint(this.elementCenter(el), t);
+		const cos = Math.cos(rotation), sin = Math.sin(rotation);
+		const halfW = Math.abs(b.x - a.x) / 2 * Math.hypot(t.scaleX * cos, t.scaleY * sin);
+		const halfH = Math.abs(b.y - a.y) / 2 * Math.hypot(t.scaleX * sin, t.scaleY * cos);
+		el.points = [
+			{ x: center.x - halfW, y: center.y - halfH },
+			{ x: center.x + halfW, y: center.y + halfH }
+		];
+		el.rotation = this.normalizeAngle(rotation + t.rotation);
+	}
+	transformStrokes(ids, transform) {
+		const t = this.normalizeTransform(transform);
+		for (const id of ids) {
+			if (this.strokes[id]) this.transformElement(this.strokes[id], t);
+		}
+		this.elementsChanged(ids);
+	}
+	snapshotGeometry(ids) {
+		const snapshot = {};
+		for (const id of ids) {
+			const el = this.strokes[id];
+			snapshot[id] = { points: el.points.map(p => ({ ...p })), rotation: el.rotation };
+		}
+		return snapshot;
+	}
+	restoreGeometry(snapshot) {
+		for (const id in snapshot) {
+			const el = this.strokes[id];
+			if (!el) continue;
+			el.points = snapshot[id].points.map(p => ({ ...p }));
+			if (snapshot[id].rotation !== undefined) el.rotation = snapshot[id].rotation;
 		}
+		this.elementsChanged(Object.keys(snapshot));
+	}
+
+	// --- Selection Actions ---
+	beginTransformDrag(handle, bounds, worldPos) {
+		const ids = Array.from(this.selectedStrokeIds).filter(id => this.strokes[id]);
+		const { x, y, w, h } = bounds;
+		// Resizing keeps the opposite corner fixed, rotation turns around the centre
+		const origins = {
+			nw: { x: x + w, y: y + h }, ne: { x, y: y + h }, se: { x, y }, sw: { x: x + w, y },
+			rotate: { x: x + w / 2, y: y + h / 2 }, move: null
+		};
+		this.transformDrag = { handle, start: worldPos, origin: origins[handle], ids, snapshot: this.snapshotGeometry(ids), transform: null };
+	}
+
+	updateTransformDrag(worldPos, constrain) {
+		const { handle, start, origin, ids, snapshot } = this.transformDrag;
+		let t;
+		if (handle === 'move') {
+			t = { dx: worldPos.x - start.x, dy: worldPos.y - start.y };
+		} else if (handle === 'rotate') {
+			let angle = Math.atan2(worldPos.y - origin.y, worldPos.x - origin.x) - Math.atan2(start.y - origin.y, start.x - origin.x);
+			// Shift snaps to 15 degree steps
+			if (constrain) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12);
+			t = { rotation: angle, origin };
+		} else {
+			const scale = (to, from) => Math.abs(from) < 1e-6 ? 1 : Math.min(100, Math.max(0.01, to / from));
+			let scaleX = scale(worldPos.x - origin.x, start.x - origin.x);
+			let scaleY = scale(worldPos.y - origin.y, start.y - origin.y);
+			// Shift keeps the aspect ratio
+			if (constrain) scaleX = scaleY = Math.max(scaleX, scaleY);
+			t = { scaleX, scaleY, origin };
+		}
+		this.transformDrag.transform = this.normalizeTransform(t);
+		this.restoreGeometry(snapshot);
+		this.transformStrokes(ids, this.transformDrag.transform);
+	}
+
+	endTransformDrag() {
+		const { ids, snapshot, transform } = this.transformDrag;
+		this.transformDrag = null;
+		if (!transform || (this.isTranslation(transform) && !transform.dx && !transform.dy)) return;
+		this.queueOp('transform-strokes', { roomId: this.roomId, strokeIds: ids, transform }, {
+			strokeIds: ids,
+			reapply: () => this.transformStrokes(ids, transform),
+			onReject: (res) => {
+				// Rejected - put the elements back where they were
+				this.restoreGeometry(snapshot);
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	deleteSelection() {
+		const ids = Array.from(this.selectedStrokeIds).filter(id => this.strokes[id]);
+		this.selectedStrokeIds.clear();
+		if (!ids.length) return;
+		const removed = ids.map(id => this.strokes[id]);
+		ids.forEach(id => this.removeElement(id)); // Optimistic deletion
+		this.queueOp('delete-strokes', { roomId: this.roomId, strokeIds: ids }, {
+			reapply: () => ids.forEach(id => this.removeElement(id)),
+			onReject: (res) => {
+				if (res.code === 'not-found') return;
+				removed.forEach(el => { this.setElement(el); });
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	duplicateSelection() {
+		const offset = this.normalizeTransform({ dx: 20 / this.camera.zoom, dy: 20 / this.camera.zoom });
+		let z = this.nextZ();
+		const copies = this.sortedElements()
+			.filter(([id]) => this.selectedStrokeIds.has(id))
+			.map(([, el]) => {
+				const { authorId, ...copy } = structuredClone(el);
+				copy.id = this.generateId();
+				copy.z = z++;
+				this.transformElement(copy, offset);
+				return copy;
+			});
+		if (!copies.length) return;
+		const ids = copies.map(el => el.id);
+		copies.forEach(el => { this.setElement(el); });
+		this.selectedStrokeIds = new Set(ids);
+		this.queueOp('add-strokes', { roomId: this.roomId, strokes: copies.map(el => this.strokeForSync(el)) }, {
+			strokeIds: ids,
+			reapply: () => copies.forEach(el => { this.setElement(el); }),
+			onReject: (res) => {
+				ids.forEach(id => this.removeElement(id));
+				this.showToast(res.message);
+			}
+		});
+	}
+
+	// The server works out the new z values and sends them back to everyone
+	reorderSelection(direction) {
+		const ids = Array.from(this.selectedStrokeIds).filter(id => this.strokes[id]);
+		if (!ids.length) return;
+		this.queueOp('reorder-strokes', { roomId: this.roomId, strokeIds: ids, direction }, {
+			onReject: (res) => this.showToast(res.message)
+		});
+	}
+
+	// Elements in drawing order; ones without a z keep their key order at the bottom
+	sortedElements() {
+		return Object.entries(this.strokes).sort(([, a], [, b]) => (a.z || 0) - (b.z || 0));
+	}
+	nextZ() {
+		let max = -1;
+		for (const id in this.strokes) max = Math.max(max, this.strokes[id].z || 0);
+		return max + 1;
+	}
+
+	// --- History Helpers ---
+	// Undo/redo run on the server against this user's own history; the result
+	// comes back as ordinary board changes
+	undo() {
+		this.queueOp('undo', { roomId: this.roomId }, {
+			onReject: (res) => { if (res.code !== 'empty') this.showToast(res.message); }
+		});
 	}
 	redo() {
-		const op = this.redoStack.pop();
-		if (!op) return;
-		if (op.type === 'add') {
-			// Redo add -> add again
-			// Note: relies on original stroke still present; skip otherwise
-		} else if (op.type === 'delete') {
-			// Redo delete
-			this.socket.emit('delete-stroke', { roomId: this.roomId, strokeId: op.strokeId });
-		} else if (op.type === 'move') {
-			this.socket.emit('update-strokes', { roomId: this.roomId, strokeIds: op.strokeIds, dx: op.dx, dy: op.dy });
-		} else if (op.type === 'clear') {
-			this.socket.emit('clear-board', this.roomId);
-		}
-		this.undoStack.push(op);
+		this.queueOp('redo', { roomId: this.roomId }, {
+			onReject: (res) => { if (res.code !== 'empty') this.showToast(res.message); }
+		});
+	}
+	updateHistoryState(state) {
+		this.historyState = state;
+		document.getElementById('undoBtn').disabled = !state.canUndo;
+		document.getElementById('redoBtn').disabled = !state.canRedo;
 	}
 }
 
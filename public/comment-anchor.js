@@ -0,0 +1,58 @@
+// Where comment pins sit, shared by board.js and the server (lib/comments.js).
+// A pin attached to an element keeps its position in the element's own frame
+// (u, v: offset from the centre, in units of the width and height, before
+// rotation), so it follows the element through moves, resizes and rotations.
+// x, y is the last known world position, used once the element is gone.
+const CommentAnchor = (() => {
+	// Centre, size and rotation of an element's box
+	function frameOf(el) {
+		let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+		for (const p of el.points) {
+			minX = Math.min(minX, p.x);
+			minY = Math.min(minY, p.y);
+			maxX = Math.max(maxX, p.x);
+			maxY = Math.max(maxY, p.y);
+		}
+		return {
+			cx: (minX + maxX) / 2,
+			cy: (minY + maxY) / 2,
+			// Flat elements such as horizontal lines keep absolute offsets along that side
+			w: Math.max(maxX - minX, 1),
+			h: Math.max(maxY - minY, 1),
+			rotation: el.rotation || 0
+		};
+	}
+
+	function isAnchorable(el) {
+		return el && Array.isArray(el.points) && el.points.length > 0;
+	}
+
+	// Anchor for a pin at world `point`, attached to `el` if given
+	function create(point, el) {
+		if (!isAnchorable(el)) return { x: point.x, y: point.y };
+		const f = frameOf(el);
+		const cos = Math.cos(-f.rotation), sin = Math.sin(-f.rotation);
+		const dx = point.x - f.cx, dy = point.y - f.cy;
+		return {
+			x: point.x,
+			y: point.y,
+			strokeId: el.id,
+			u: (dx * cos - dy * sin) / f.w,
+			v: (dx * sin + dy * cos) / f.h
+		};
+	}
+
+	// World position of an anchor; `el` is its element, or null if it is not on the page
+	function position(anchor, el) {
+		if (!anchor.strokeId || !isAnchorable(el)) return { x: anchor.x, y: anchor.y };
+		const f = frameOf(el);
+		const cos = Math.cos(f.rotation), sin = Math.sin(f.rotation);
+		const lx = anchor.u * f.w, ly = anchor.v * f.h;
+		return { x: f.cx + lx * cos - ly * sin, y: f.cy + lx * sin + ly * cos };
+	}
+
+	return { create, position };
+})();
+
+// Also loadable from Node for the server's comment handlers
+if (typeof module !== 'undefined') module.exports = CommentAnchor;
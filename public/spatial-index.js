@@ -0,0 +1,115 @@
+// Spatial index for board elements: a uniform grid over world coordinates.
+// Each element is listed in every cell its bounding box touches, so finding
+// what is on screen or under the pointer only looks at nearby cells instead
+// of every element on the board.
+class SpatialIndex {
+	constructor(cellSize = 512) {
+		this.cellSize = cellSize;
+		this.cells = new Map(); // "cx,cy" -> Set of element IDs
+		this.boxes = new Map(); // element ID -> cached bounding box {x,y,w,h}
+		this.large = new Set(); // Elements spanning too many cells to list in each of them
+	}
+
+	get size() {
+		return this.boxes.size;
+	}
+
+	clear() {
+		this.cells.clear();
+		this.boxes.clear();
+		this.large.clear();
+	}
+
+	// Add an element, or move it if it is already indexed
+	insert(id, box) {
+		this.remove(id);
+		this.boxes.set(id, box);
+		const range = this.cellRange(box);
+		if (range.count > SpatialIndex.MAX_CELLS) {
+			this.large.add(id);
+			return;
+		}
+		this.forEachCell(range, (key) => {
+			let cell = this.cells.get(key);
+			if (!cell) {
+				cell = new Set();
+				this.cells.set(key, cell);
+			}
+			cell.add(id);
+		});
+	}
+
+	// Grow an element's box to cover another box, e.g. while a stroke is being drawn
+	extend(id, box) {
+		const current = this.boxes.get(id);
+		if (!current) {
+			this.insert(id, box);
+			return;
+		}
+		const x = Math.min(current.x, box.x), y = Math.min(current.y, box.y);
+		const w = Math.max(current.x + current.w, box.x + box.w) - x;
+		const h = Math.max(current.y + current.h, box.y + box.h) - y;
+		if (x === current.x && y === current.y && w === current.w && h === current.h) return;
+		this.insert(id, { x, y, w, h });
+	}
+
+	remove(id) {
+		const box = this.boxes.get(id);
+		if (!box) return;
+		this.boxes.delete(id);
+		if (this.large.delete(id)) return;
+		this.forEachCell(this.cellRange(box), (key) => {
+			const cell = this.cells.get(key);
+			if (!cell) return;
+			cell.delete(id);
+			if (!cell.size) this.cells.delete(key);
+		});
+	}
+
+	boxOf(id) {
+		return this.boxes.get(id) || null;
+	}
+
+	// IDs of the elements whose box intersects a rectangle
+	query(rect) {
+		const found = new Set();
+		const check = (id) => {
+			if (!found.has(id) && SpatialIndex.intersects(this.boxes.get(id), rect)) found.add(id);
+		};
+		const range = this.cellRange(rect);
+		if (range.count > this.cells.size) {
+			// Zoomed far out: checking every box is cheaper than walking mostly empty cells
+			for (const id of this.boxes.keys()) check(id);
+			return found;
+		}
+		this.forEachCell(range, (key) => {
+			const cell = this.cells.get(key);
+			if (cell) cell.forEach(check);
+		});
+		this.large.forEach(check);
+		return found;
+	}
+
+	cellRange(box) {
+		const size = this.cellSize;
+		const x0 = Math.floor(box.x / size), y0 = Math.floor(box.y / size);
+		const x1 = Math.floor((box.x + box.w) / size), y1 = Math.floor((box.y + box.h) / size);
+		return { x0, y0, x1, y1, count: (x1 - x0 + 1) * (y1 - y0 + 1) };
+	}
+
+	forEachCell({ x0, y0, x1, y1 }, fn) {
+		for (let x = x0; x <= x1; x++) {
+			for (let y = y0; y <= y1; y++) fn(`${x},${y}`);
+		}
+	}
+
+	// Edges count as touching so zero-width boxes (straight lines) are still found
+	static intersects(a, b) {
+		return a.x <= b.x + b.w && a.x + a.w >= b.x && a.y <= b.y + b.h && a.y + a.h >= b.y;
+	}
+}
+
+SpatialIndex.MAX_CELLS = 64;
+
+// Also loadable from Node for scripts/benchmark-board.js
+if (typeof module !== 'undefined') module.exports = SpatialIndex;
@@ -0,0 +1,146 @@
+// Đo tốc độ của chỉ mục không gian (public/spatial-index.js) trên board giả lập lớn.
+//
+//   node scripts/benchmark-board.js [elementCount] [--room roomId]
+//
+// Mặc định tạo 20000 phần tử (nét vẽ tự do và hình) rải trên vùng 50000x50000.
+// Với --room, các phần tử được ghi thêm vào trang đầu của một board có sẵn (dùng STORAGE,
+// SQLITE_FILE như server) để mở thử trên trình duyệt. Tắt server trước khi ghi,
+// nếu không board đang mở trong bộ nhớ sẽ ghi đè lên.
+const path = require("path")
+const crypto = require("crypto")
+const { performance } = require("perf_hooks")
+const SpatialIndex = require("../public/spatial-index")
+const { sanitizeElement, nextZ } = require("../lib/elements")
+const { createStorage } = require("../storage")
+
+const WORLD_SIZE = 50000
+const VIEWPORT = { w: 1920, h: 1080 }
+const QUERY_COUNT = 1000
+
+// Sinh số ngẫu nhiên có seed để các lần chạy so sánh được với nhau
+function random(seed) {
+	return () => {
+		seed = (seed * 1664525 + 1013904223) % 4294967296
+		return seed / 4294967296
+	}
+}
+
+function generateElements(count, rand) {
+	const shapes = ["rect", "ellipse", "line", "arrow"]
+	const elements = []
+	for (let i = 0; i < count; i++) {
+		const x = rand() * WORLD_SIZE
+		const y = rand() * WORLD_SIZE
+		const base = { id: crypto.randomUUID(), color: "#333333", size: 1 + Math.floor(rand() * 8) }
+		if (rand() < 0.8) {
+			// Nét tự do: đi ngẫu nhiên 20-200 điểm
+			const points = [{ x, y }]
+			const length = 20 + Math.floor(rand() * 180)
+			for (let j = 1; j < length; j++) {
+				const last = points[j - 1]
+				points.push({ x: last.x + (rand() - 0.5) * 20, y: last.y + (rand() - 0.5) * 20 })
+			}
+			elements.push({ ...base, type: "stroke", points })
+		} else {
+			const w = 20 + rand() * 400
+			const h = 20 + rand() * 400
+			elements.push({ ...base, type: shapes[i % shapes.length], points: [{ x, y }, { x: x + w, y: y + h }] })
+		}
+	}
+	return elements
+}
+
+// Giống indexBox phía client, không tính xoay vì dữ liệu giả lập không xoay
+function boundingBox(el) {
+	let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+	for (const p of el.points) {
+		if (p.x < minX) minX = p.x
+		if (p.y < minY) minY = p.y
+		if (p.x > maxX) maxX = p.x
+		if (p.y > maxY) maxY = p.y
+	}
+	const pad = el.type === "arrow" ? Math.max(10, el.size * 3) : el.size / 2
+	return { x: minX - pad, y: minY - pad, w: maxX - minX + pad * 2, h: maxY - minY + pad * 2 }
+}
+
+function time(label, runs, fn) {
+	const start = performance.now()
+	let result
+	for (let i = 0; i < runs; i++) result = fn(i)
+	const ms = (performance.now() - start) / runs
+	console.log(`${label.padEnd(42)} ${ms.toFixed(3).padStart(10)} ms`)
+	return result
+}
+
+async function fillRoom(roomId, elements) {
+	const storage = createStorage({
+		type: process.env.STORAGE || "file",
+		dataDir: path.join(__dirname, "..", "data"),
+		sqliteFile: process.env.SQLITE_FILE || path.join(__dirname, "..", "data", "vdraw.db")
+	})
+	await storage.init()
+	const board = await storage.loadBoard(roomId)
+	if (!board) throw new Error(`Board ${roomId} not found`)
+	const page = board.pages[0]
+	let z = nextZ(page.strokes)
+	for (const data of elements) {
+		const { element, error } = sanitizeElement(data)
+		if (error) throw new Error(error)
+		page.strokes[element.id] = { ...element, z: z++ }
+	}
+	board.lastModified = Date.now()
+	await storage.saveBoard(roomId, board)
+	if (storage.close) storage.close()
+	console.log(`Added ${elements.length} elements to board ${roomId}`)
+}
+
+async function main() {
+	const args = process.argv.slice(2)
+	const roomFlag = args.indexOf("--room")
+	const roomId = roomFlag === -1 ? null : args.splice(roomFlag, 2)[1]
+	const count = parseInt(args[0]) || 20000
+	const rand = random(42)
+
+	const elements = time(`generate ${count} elements`, 1, () => generateElements(count, rand))
+	const pointCount = elements.reduce((sum, el) => sum + el.points.length, 0)
+	console.log(`${pointCount} points, ${(JSON.stringify(elements).length / 1048576).toFixed(1)} MB as JSON\n`)
+
+	const boxes = time("bounding boxes (all elements)", 1, () => elements.map(boundingBox))
+	const index = new SpatialIndex()
+	time("index build", 1, () => {
+		index.clear()
+		elements.forEach((el, i) => index.insert(el.id, boxes[i]))
+	})
+
+	const viewports = []
+	for (let i = 0; i < QUERY_COUNT; i++) {
+		viewports.push({ x: rand() * WORLD_SIZE, y: rand() * WORLD_SIZE, w: VIEWPORT.w, h: VIEWPORT.h })
+	}
+	const intersects = SpatialIndex.intersects
+	const visible = time("viewport query: linear scan of boxes", QUERY_COUNT, i => boxes.filter(b => intersects(b, viewports[i])).length)
+	time("viewport query: linear scan of points", 10, i => elements.filter(el => intersects(boundingBox(el), viewports[i])).length)
+	time("viewport query: index", QUERY_COUNT, i => index.query(viewports[i]).size)
+	const zoomedOut = { x: 0, y: 0, w: VIEWPORT.w * 10, h: VIEWPORT.h * 10 }
+	time("viewport query at min zoom: index", 100, () => index.query(zoomedOut).size)
+	console.log(`(last viewport: ${visible} visible elements)\n`)
+
+	const points = viewports.map(v => ({ x: v.x, y: v.y, w: 12, h: 12 }))
+	time("hit-test query: linear scan of boxes", QUERY_COUNT, i => boxes.filter(b => intersects(b, points[i])).length)
+	time("hit-test query: index", QUERY_COUNT, i => index.query(points[i]).size)
+
+	// Kéo 200 phần tử đi 5px mỗi lần như khi di chuyển vùng chọn
+	const moved = elements.slice(0, 200)
+	time("move 200 elements (re-index)", 100, () => {
+		for (const el of moved) {
+			const box = index.boxOf(el.id)
+			index.insert(el.id, { ...box, x: box.x + 5, y: box.y + 5 })
+		}
+	})
+
+	if (roomId) await fillRoom(roomId, elements)
+}
+
+main().catch(err => {
+	console.error(err)
+	process.exit(1)
+})
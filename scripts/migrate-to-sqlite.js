@@ -0,0 +1,66 @@
+// Chuyển dữ liệu từ file JSON (data/users.json, data/boards/*.json, data/trash/*.json) sang SQLite.
+//
+//   node scripts/migrate-to-sqlite.js [dataDir] [sqliteFile]
+//
+// Mặc định dataDir là ./data và sqliteFile là <dataDir>/vdraw.db.
+// Chạy lại nhiều lần vẫn an toàn: user đã có được bỏ qua, board được ghi đè.
+const path = require("path")
+const { FileStorage, SqliteStorage } = require("../storage")
+
+async function migrate(dataDir, sqliteFile) {
+	const source = new FileStorage(dataDir)
+	const target = new SqliteStorage(sqliteFile)
+	await source.init()
+	await target.init()
+
+	let userCount = 0
+	for (const user of await source.loadUsers()) {
+		if (await target.getUserById(user.id)) continue
+		try {
+			await target.createUser(user)
+			userCount++
+		} catch (err) {
+			console.error(`Skipping user ${user.username}: ${err.message}`)
+		}
+	}
+
+	let boardCount = 0
+	const copyBoard = async (roomId, board) => {
+		board.members = board.members || []
+		await target.saveBoard(roomId, board)
+		boardCount++
+	}
+	for (const roomId of await source.listBoardIds()) {
+		try {
+			const board = await source.loadBoard(roomId)
+			if (!board) continue
+			await copyBoard(roomId, board)
+			await target.restoreBoard(roomId) // Có thể đã vào thùng rác ở lần chạy trước
+		} catch (err) {
+			console.error(`Skipping board ${roomId}: ${err.message}`)
+		}
+	}
+	// Board trong thùng rác vẫn vào thùng rác bên SQLite
+	for (const { roomId } of await source.listTrash()) {
+		try {
+			const board = await source.loadTrashedBoard(roomId)
+			if (!board) continue
+			const { deletedAt, ...data } = board
+			await copyBoard(roomId, data)
+			await target.trashBoard(roomId, deletedAt)
+		} catch (err) {
+			console.error(`Skipping board ${roomId}: ${err.message}`)
+		}
+	}
+
+	target.close()
+	console.log(`Migrated ${userCount} users and ${boardCount} boards into ${sqliteFile}`)
+}
+
+const dataDir = path.resolve(process.argv[2] || path.join(__dirname, "..", "data"))
+const sqliteFile = path.resolve(process.argv[3] || path.join(dataDir, "vdraw.db"))
+
+migrate(dataDir, sqliteFile).catch(err => {
+	console.error(err)
+	process.exit(1)
+})
@@ -3,130 +3,1106 @@ const http = require("http")
 const socketIo = require("socket.io")
 const path = require("path")
 const fs = require("fs")
+const crypto = require("crypto")
 const { v4: uuidv4 } = require('uuid') // Dùng để tạo ID cho nét vẽ
+const { createStorage, RoomStore, AssetStore } = require("./storage")
+const {
+	MAX_STROKE_POINTS, sanitizePoints, sanitizeElement, sanitizeChanges, collectAssetIds,
+	normalizeTransform, isTranslation, transformElement, geometryOf, nextZ, reorderElements
+} = require("./lib/elements")
+const { EXPORT_FORMATS, exportBoard } = require("./lib/export")
+const { parseDocument } = require("./lib/document")
+const {
+	MAX_PAGES, defaultPageTitle, findPage, getElement, findPageOf, pageList, allElements, normalizePageTitle
+} = require("./lib/pages")
+const {
+	CHAT_LIMIT, MAX_COMMENTS, MAX_REPLIES, chatOf, commentsOf, findComment, readsOf, normalizeMessageText, newMessage,
+	createAnchor, refreshAnchors, deleteComment, deletePageComments
+} = require("./lib/comments")
+const { activeInvites, findInvite, createInvite, revokeInvite } = require("./lib/invites")
+const { upgradeBans, activeBans, findBan, addBan, removeBan } = require("./lib/bans")
 
 const app = express()
 const server = http.createServer(app)
 const io = socketIo(server, { cors: { origin: "*" } })
 
 // --- Cấu hình ---
+// Số ngày đọc từ biến môi trường `name`, hoặc `fallback` nếu không đặt
+function envDays(name, fallback) {
+	const value = process.env[name]
+	if (value === undefined || value === "") return fallback
+	const days = Number(value)
+	if (!Number.isFinite(days) || days < 0) {
+		throw new Error(`${name} must be a number of days, got "${value}"`)
+	}
+	return days
+}
+
+// Giá trị "trust proxy" của Express từ biến môi trường TRUST_PROXY: "true", số proxy
+// đứng trước server (vd. "1"), hoặc danh sách địa chỉ/dải mạng (vd. "loopback, 10.0.0.0/8")
+function envTrustProxy(value) {
+	if (value === undefined || value === "" || value === "false") return false
+	if (value === "true") return true
+	return /^\d+$/.test(value) ? Number(value) : value
+}
+
 const PORT = process.env.PORT || 3109
 const DATA_DIR = path.join(__dirname, "data")
-const BOARDS_DIR = path.join(DATA_DIR, "boards")
-const USERS_FILE = path.join(DATA_DIR, "users.json")
-const BOARD_EXPIRY_DAYS = 14
+const STORAGE = process.env.STORAGE || "file" // "file" hoặc "sqlite"
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, "vdraw.db")
+// Chạy sau reverse proxy thì đặt để IP của client lấy từ X-Forwarded-For (xem clientIP)
+const TRUST_PROXY = envTrustProxy(process.env.TRUST_PROXY)
+const SECRET_FILE = path.join(DATA_DIR, "session.secret")
+const ASSETS_DIR = path.join(DATA_DIR, "assets")
+const MAX_ASSET_SIZE = 5 * 1024 * 1024 // Ảnh tối đa 5MB
+const MAX_IMPORT_SIZE = 50 * 1024 * 1024 // File board nhập vào tối đa 50MB (kể cả ảnh nhúng)
+const ASSET_GRACE_PERIOD = 24 * 60 * 60 * 1000 // Ảnh chưa board nào dùng được giữ 1 ngày
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000 // 7 ngày
+const DAY = 24 * 60 * 60 * 1000
+// Thời hạn của board (xem boardExpiry), đổi được bằng biến môi trường cùng tên
+const BOARD_EXPIRY_DAYS = envDays("BOARD_EXPIRY_DAYS", 14) // Không ai sửa chừng này ngày thì vào thùng rác, 0 là không bao giờ
+const TRASH_RETENTION_DAYS = envDays("TRASH_RETENTION_DAYS", 30) // Board trong thùng rác bị xóa hẳn sau chừng này ngày
+const MAX_EXPIRY_DAYS = envDays("MAX_EXPIRY_DAYS", 365) // Chủ phòng chọn giữ board tối đa chừng này ngày kể từ hôm nay
+const MAX_TITLE_LENGTH = 100
 const CLEANUP_INTERVAL = 60 * 60 * 1000 // 1 giờ
+const SAVE_DELAY = 1000 // Gom các thay đổi trong 1 giây rồi mới ghi
+const RECENT_OPS_LIMIT = 500 // Số opId nhớ lại mỗi phòng để bỏ qua gửi lặp
+const CHANGE_LOG_LIMIT = 1000 // Số thay đổi giữ lại mỗi phòng để đồng bộ bù
+const UNLOAD_DELAY = 5 * 60 * 1000 // Phòng trống được giữ trong bộ nhớ 5 phút
+const HISTORY_LIMIT = 100 // Số bước undo tối đa mỗi người
+const MAX_BATCH_SIZE = 1000 // Số phần tử tối đa trong một thao tác hàng loạt
+const CURSOR_RATE = { perSecond: 30, burst: 10 } // cursor-move của mỗi socket, phần vượt bị bỏ
+const CURSOR_CHAT_RATE = { perSecond: 10, burst: 20 } // cursor-chat gửi theo từng phím gõ
+const STROKE_POINTS_RATE = { perSecond: 40, burst: 20 } // stroke-points của mỗi socket, client gửi khoảng 20 lần mỗi giây
+const MAX_LIVE_STROKES = 10 // Số nét đang vẽ dở cùng lúc của mỗi socket
+const MAX_CURSOR_CHAT_LENGTH = 100
+const ROOM_PASSWORD_RATE = { perSecond: 0.2, burst: 5 } // Số lần thử mật khẩu của mỗi tài khoản và mỗi IP ở một phòng
+const MAX_ROOM_PASSWORD_LENGTH = 128
+// ID phòng: 16 ký tự ngẫu nhiên (80 bit) từ bảng chữ bỏ các ký tự dễ nhầm như O/0, I/1
+const ROOM_ID_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"
+const ROOM_ID_LENGTH = 16
 
 // --- Khởi tạo thư mục và file ---
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR)
-if (!fs.existsSync(BOARDS_DIR)) fs.mkdirSync(BOARDS_DIR)
-if (!fs.existsSync(USERS_FILE)) fs.writeFileSync(USERS_FILE, JSON.stringify([]))
+if (!process.env.SESSION_SECRET && !fs.existsSync(SECRET_FILE)) {
+	fs.writeFileSync(SECRET_FILE, crypto.randomBytes(32).toString("hex"), { mode: 0o600 })
+}
+const SESSION_SECRET = process.env.SESSION_SECRET || fs.readFileSync(SECRET_FILE, "utf8").trim()
+
+// --- Storage ---
+const storage = createStorage({ type: STORAGE, dataDir: DATA_DIR, sqliteFile: SQLITE_FILE })
+const assets = new AssetStore(ASSETS_DIR)
+const rooms = new RoomStore(storage, {
+	saveDelay: SAVE_DELAY,
+	unloadDelay: UNLOAD_DELAY,
+	onLoad: (roomId, board) => {
+		// Lệnh cấm IP kiểu cũ được chuyển đổi một lần rồi ghi lại, không chuyển lại mỗi lần mở phòng
+		if (upgradeBans(board)) rooms.markChanged(roomId, { meta: true })
+	},
+	onUnload: (roomId) => {
+		recentOps.delete(roomId)
+		changeLogs.delete(roomId)
+	}
+})
+
+// --- Auth Helpers ---
+// Mật khẩu lưu dạng "scrypt$<salt>$<hash>"
+function hashPassword(password) {
+	const salt = crypto.randomBytes(16).toString("hex")
+	const hash = crypto.scryptSync(password, salt, 64).toString("hex")
+	return `scrypt$${salt}$${hash}`
+}
+
+function verifyPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored).split("$")
+	if (scheme !== "scrypt" || !salt || !hash) return false
+	const expected = Buffer.from(hash, "hex")
+	const actual = crypto.scryptSync(password, salt, expected.length)
+	return crypto.timingSafeEqual(expected, actual)
+}
+
+function signPayload(encoded) {
+	return crypto.createHmac("sha256", SESSION_SECRET).update(encoded).digest("base64url")
+}
+
+// Token dạng "<payload>.<chữ ký>", payload là JSON base64url { sub, username, exp }
+function issueToken(user) {
+	const payload = { sub: user.id, username: user.username, exp: Date.now() + SESSION_TTL }
+	const encoded = Buffer.from(JSON.stringify(payload)).toString("base64url")
+	return `${encoded}.${signPayload(encoded)}`
+}
+
+function verifyToken(token) {
+	if (typeof token !== "string") return null
+	const [encoded, signature] = token.split(".")
+	if (!encoded || !signature) return null
+	const expected = Buffer.from(signPayload(encoded))
+	const actual = Buffer.from(signature)
+	if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null
+	try {
+		const payload = JSON.parse(Buffer.from(encoded, "base64url").toString("utf8"))
+		if (!payload.exp || Date.now() > payload.exp) return null
+		return { id: payload.sub, username: payload.username }
+	} catch (e) {
+		return null
+	}
+}
+
+function sessionResponse(user) {
+	return { id: user.id, username: user.username, token: issueToken(user) }
+}
 
-// --- Helper Functions ---
-function readUsers() {
-	return JSON.parse(fs.readFileSync(USERS_FILE))
+// Middleware cho các route cần đăng nhập: "Authorization: Bearer <token>"
+function requireAuth(req, res, next) {
+	const header = req.get("Authorization") || ""
+	const user = verifyToken(header.startsWith("Bearer ") ? header.slice(7) : null)
+	if (!user) return res.status(401).json({ message: "Unauthorized." })
+	req.user = user
+	next()
 }
 
-function writeUsers(users) {
-	fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2))
+// --- Permission Helpers ---
+// Vai trò nào được thực hiện hành động nào
+const ROLES = ["owner", "editor", "viewer"]
+const DEFAULT_ROLE = "editor"
+const PERMISSIONS = {
+	"add-stroke": ["owner", "editor"],
+	"delete-stroke": ["owner", "editor"],
+	"update-strokes": ["owner", "editor"],
+	"clear-board": ["owner"],
+	"view-page": ["owner", "editor", "viewer"],
+	"edit-pages": ["owner", "editor"],
+	"delete-page": ["owner"],
+	"undo": ["owner", "editor"],
+	"kick-user": ["owner"],
+	"ban-user": ["owner"],
+	"set-member-role": ["owner"],
+	"rename-room": ["owner"],
+	"set-room-expiry": ["owner"],
+	"delete-room": ["owner"],
+	"restore-room": ["owner"],
+	"pin-room": ["owner"],
+	"set-thumbnail": ["owner", "editor"],
+	"chat": ["owner", "editor", "viewer"],
+	"comment": ["owner", "editor", "viewer"],
+	"resolve-comments": ["owner", "editor"], // Người mở luồng luôn được đóng/mở lại luồng của mình
+	"delete-comments": ["owner"], // Người mở luồng luôn được xóa luồng của mình
+	"manage-invites": ["owner"],
+	"set-room-password": ["owner"]
 }
 
-function getBoardPath(roomId) {
-	return path.join(BOARDS_DIR, `${roomId}.json`)
+function getRole(board, userId) {
+	if (board.owner === userId) return "owner"
+	const member = board.members.find(m => m.id === userId)
+	return (member && member.role) || DEFAULT_ROLE
 }
 
-function readBoard(roomId) {
-	const boardPath = getBoardPath(roomId)
-	if (fs.existsSync(boardPath)) {
-		return JSON.parse(fs.readFileSync(boardPath))
+// Kiểm tra socket có đang ở trong phòng, không bị cấm và có đủ quyền
+function authorize(socket, roomId, action) {
+	if (!roomId || socket.currentRoom !== roomId) {
+		return { error: "You are not in this room." }
+	}
+	// Socket đã vào phòng thì board chắc chắn đang nằm trong bộ nhớ
+	const board = rooms.peek(roomId)
+	if (!board) {
+		return { error: "Room not found." }
+	}
+	if (findBan(board, socket.userInfo.id, socket.clientIP)) {
+		return { error: "You are banned from this room." }
+	}
+	// Một tài khoản có thể mở phòng ở nhiều tab; tab nào đã vào phòng (currentRoom ở trên) cũng được
+	if (!board.members.some(m => m.id === socket.userInfo.id)) {
+		return { error: "You are not a member of this room." }
+	}
+	const allowed = PERMISSIONS[action] || []
+	if (!allowed.includes(getRole(board, socket.userInfo.id))) {
+		return { error: "You do not have permission to do that." }
+	}
+	return { board }
+}
+
+// Chủ phòng hoặc người đã từng vào phòng
+function isRoomMember(board, userId) {
+	return board.owner === userId || board.members.some(m => m.id === userId)
+}
+
+// Như authorize nhưng cho các route /api/rooms/:roomId; trả về lý do từ chối hoặc null.
+// Không có `action` thì chỉ cần đã từng vào phòng.
+function checkRoomAccess(req, board, action) {
+	if (!isRoomMember(board, req.user.id)) {
+		return "You are not a member of this room."
+	}
+	if (findBan(board, req.user.id, req.ip)) {
+		return "You are banned from this room."
+	}
+	if (action && !PERMISSIONS[action].includes(getRole(board, req.user.id))) {
+		return "You do not have permission to do that."
 	}
 	return null
 }
 
-function writeBoard(roomId, boardData) {
-	const boardPath = getBoardPath(roomId)
-	boardData.lastModified = Date.now()
-	fs.writeFileSync(boardPath, JSON.stringify(boardData, null, 2))
+// Kết quả của các thao tác đã xử lý gần đây, theo opId do client tạo.
+// Client gửi lại thao tác chưa được ack sau khi kết nối lại; nhờ đây
+// mỗi thao tác chỉ được áp dụng đúng một lần.
+const recentOps = new Map() // roomId -> Map(opId -> response)
+
+function rememberOp(roomId, opId, response) {
+	if (!recentOps.has(roomId)) recentOps.set(roomId, new Map())
+	const ops = recentOps.get(roomId)
+	ops.set(opId, response)
+	if (ops.size > RECENT_OPS_LIMIT) {
+		ops.delete(ops.keys().next().value)
+	}
+}
+
+// --- Revisions ---
+// Mỗi thay đổi nội dung tăng board.revision. Các thay đổi gần đây được giữ
+// lại để client kết nối lại chỉ cần lấy phần còn thiếu thay vì cả board.
+const changeLogs = new Map() // roomId -> [{ event, data }]
+
+function broadcastChange(roomId, board, event, data) {
+	board.revision = (board.revision || 0) + 1
+	const payload = { ...data, revision: board.revision }
+	if (!changeLogs.has(roomId)) changeLogs.set(roomId, [])
+	const log = changeLogs.get(roomId)
+	log.push({ event, data: payload })
+	if (log.length > CHANGE_LOG_LIMIT) log.shift()
+	io.to(roomId).emit(event, payload)
+}
+
+// Các thay đổi sau revision `since`, hoặc null nếu log không còn đủ
+function getChangesSince(roomId, board, since) {
+	const revision = board.revision || 0
+	if (!Number.isInteger(since) || since > revision) return null
+	if (since === revision) return []
+	const log = changeLogs.get(roomId) || []
+	if (!log.length || log[0].data.revision > since + 1) return null
+	return log.filter(c => c.data.revision > since)
+}
+
+// --- History (Undo/Redo) ---
+// Mỗi người có ngăn xếp undo/redo riêng trong board.history[userId], lưu cùng board.
+// Một bước là { type: "add", strokeIds } | { type: "delete", strokes } | { type: "move", strokeIds, dx, dy }
+// | { type: "update", before, after } (before/after: { [strokeId]: các trường đã sửa })
+// | { type: "replace", strokeIds, strokes } (undo xóa strokeIds và khôi phục strokes),
+// bước nào cũng có thêm pageId là trang chứa các nét đó;
+// undo một bước nghĩa là áp dụng phép ngược của nó, và phép ngược đó lại là bước để redo.
+function getHistory(board, userId) {
+	if (!board.history) board.history = {}
+	if (!board.history[userId]) board.history[userId] = { undo: [], redo: [] }
+	return board.history[userId]
+}
+
+function recordHistory(roomId, board, userId, entry) {
+	const history = getHistory(board, userId)
+	history.undo.push(entry)
+	if (history.undo.length > HISTORY_LIMIT) history.undo.shift()
+	history.redo = []
+	rooms.markChanged(roomId, { history: [userId] })
+}
+
+function historyState(board, userId) {
+	const history = getHistory(board, userId)
+	return { canUndo: history.undo.length > 0, canRedo: history.redo.length > 0 }
+}
+
+// Áp dụng phép ngược của một bước lên board và phát cho cả phòng.
+// Chỉ đụng tới các nét còn tồn tại (người khác có thể đã xóa/vẽ lại);
+// trả về bước ngược lại, hoặc null nếu không còn gì để làm (kể cả khi trang đã bị xóa).
+function applyInverse(roomId, board, entry, opId) {
+	const page = findPage(board, entry.pageId)
+	if (!page) return null
+	const { pageId } = entry
+	if (entry.type === "add") {
+		const removed = entry.strokeIds.filter(id => getElement(page, id)).map(id => getElement(page, id))
+		if (!removed.length) return null
+		for (const stroke of removed) delete page.strokes[stroke.id]
+		const strokeIds = removed.map(s => s.id)
+		rooms.touch(roomId, { strokes: strokeIds })
+		broadcastChange(roomId, board, "strokes-deleted", { pageId, strokeIds, opId })
+		return { type: "delete", pageId, strokes: removed }
+	}
+	if (entry.type === "delete") {
+		const restored = entry.strokes.filter(s => !getElement(page, s.id))
+		if (!restored.length) return null
+		for (const stroke of restored) page.strokes[stroke.id] = stroke
+		const strokeIds = restored.map(s => s.id)
+		rooms.touch(roomId, { strokes: strokeIds })
+		broadcastChange(roomId, board, "strokes-added", { pageId, strokes: restored, opId })
+		return { type: "add", pageId, strokeIds }
+	}
+	if (entry.type === "move") {
+		// Dịch ngược lại đúng đoạn đã dịch, nên các lần dịch của người khác vẫn được giữ
+		const strokeIds = entry.strokeIds.filter(id => getElement(page, id))
+		if (!strokeIds.length) return null
+		const dx = -entry.dx
+		const dy = -entry.dy
+		const { transform } = normalizeTransform({ dx, dy })
+		for (const id of strokeIds) transformElement(page.strokes[id], transform)
+		const anchorsMoved = refreshAnchors(board, page, strokeIds)
+		rooms.touch(roomId, { strokes: strokeIds, discussion: anchorsMoved })
+		broadcastChange(roomId, board, "strokes-transformed", { pageId, strokeIds, transform, opId })
+		return { type: "move", pageId, strokeIds, dx, dy }
+	}
+	if (entry.type === "replace") {
+		const removed = entry.strokeIds.filter(id => getElement(page, id)).map(id => getElement(page, id))
+		const restored = entry.strokes.filter(s => !getElement(page, s.id))
+		if (!removed.length && !restored.length) return null
+		for (const stroke of removed) delete page.strokes[stroke.id]
+		for (const stroke of restored) page.strokes[stroke.id] = stroke
+		const removedIds = removed.map(s => s.id)
+		const restoredIds = restored.map(s => s.id)
+		rooms.touch(roomId, { strokes: [...removedIds, ...restoredIds] })
+		broadcastChange(roomId, board, "strokes-replaced", { pageId, strokeIds: removedIds, strokes: restored, opId })
+		return { type: "replace", pageId, strokeIds: restoredIds, strokes: removed }
+	}
+	if (entry.type === "update") {
+		const strokeIds = Object.keys(entry.before).filter(id => getElement(page, id))
+		if (!strokeIds.length) return null
+		const changes = {}
+		const before = {}
+		const after = {}
+		for (const id of strokeIds) {
+			// Chép ra để lần dịch sau không sửa luôn các điểm đang nằm trong lịch sử
+			changes[id] = structuredClone(entry.before[id])
+			Object.assign(page.strokes[id], changes[id])
+			before[id] = entry.after[id]
+			after[id] = entry.before[id]
+		}
+		const anchorsMoved = refreshAnchors(board, page, strokeIds)
+		rooms.touch(roomId, { strokes: strokeIds, discussion: anchorsMoved })
+		broadcastChange(roomId, board, "elements-updated", { pageId, changes, opId })
+		return { type: "update", pageId, before, after }
+	}
+	return null
+}
+
+// Lấy bước gần nhất còn áp dụng được từ `from`, áp dụng phép ngược và đẩy sang `to`
+function stepHistory(roomId, board, from, to, opId) {
+	while (from.length) {
+		const inverse = applyInverse(roomId, board, from.pop(), opId)
+		if (inverse) {
+			to.push(inverse)
+			return true
+		}
+	}
+	return false
+}
+
+// Bọc handler: chỉ chạy khi được phép, ngược lại trả lỗi qua ack
+function guarded(socket, action, handler) {
+	return (payload, ack) => {
+		const reply = typeof ack === "function" ? ack : () => {}
+		let respond = reply
+		if (typeof payload === "string") payload = { roomId: payload }
+		const { roomId, opId } = payload || {}
+		const { board, error } = authorize(socket, roomId, action)
+		if (error) {
+			return respond({ success: false, code: "forbidden", message: error })
+		}
+		if (typeof opId === "string") {
+			const ops = recentOps.get(roomId)
+			if (ops && ops.has(opId)) {
+				return respond(ops.get(opId))
+			}
+			respond = (response) => {
+				rememberOp(roomId, opId, response)
+				reply(response)
+			}
+		}
+		// Lỗi của handler async (đọc storage...) không được nhớ theo opId, để client gửi lại được
+		Promise.resolve(handler(board, payload, respond)).catch(err => {
+			console.error(`${action} failed in room ${roomId}:`, err)
+			reply({ success: false, message: "Something went wrong." })
+		})
+	}
+}
+
+// Như guarded, cho các thao tác trên phần tử của một trang: payload có `pageId`,
+// handler nhận thêm trang đó, handler(board, page, payload, respond)
+function paged(socket, action, handler) {
+	return guarded(socket, action, (board, payload, respond) => {
+		const page = findPage(board, payload.pageId)
+		if (!page) {
+			return respond({ success: false, code: "page-not-found", message: "Page not found." })
+		}
+		return handler(board, page, payload, respond)
+	})
+}
+
+// Handler async kiểm tra lại sau mỗi lần await: trong lúc chờ socket có thể đã rời phòng
+// hoặc mất quyền, phòng có thể đã được nạp lại, hoặc trang `page` (nếu có) đã bị xóa.
+// Trả về lỗi để gửi qua ack, hoặc null nếu vẫn làm tiếp được.
+function revalidate(socket, action, roomId, board, page = null) {
+	const { board: current, error } = authorize(socket, roomId, action)
+	if (error || current !== board) {
+		return { success: false, code: "forbidden", message: error || "You are not in this room." }
+	}
+	if (page && !findPage(board, page.id)) {
+		return { success: false, code: "page-not-found", message: "Page not found." }
+	}
+	return null
+}
+
+// --- Stroke Helpers ---
+// ID do client tạo (UUID hoặc chuỗi hex ngẫu nhiên)
+// Các tên có sẵn trên mọi object, không dùng làm khóa được
+const RESERVED_IDS = new Set(["__proto__", "constructor", "prototype"])
+
+function isValidId(id) {
+	return typeof id === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(id) && !RESERVED_IDS.has(id)
+}
+
+// Phần tử ảnh mà file ảnh không còn trên server
+async function findMissingImage(elements) {
+	for (const element of elements) {
+		if (element.type === "image" && !(await assets.find(element.assetId))) return element
+	}
+	return null
+}
+
+// Sửa một số trường của nhiều phần tử, ghi lịch sử và phát "elements-updated".
+// `changes` là { [strokeId]: các trường mới } và chỉ gồm phần tử còn tồn tại trên `page`.
+function updateElements(socket, roomId, board, page, changes, opId) {
+	const before = {}
+	for (const id in changes) {
+		before[id] = {}
+		for (const field in changes[id]) {
+			const value = page.strokes[id][field]
+			before[id][field] = value === undefined ? null : structuredClone(value)
+		}
+		Object.assign(page.strokes[id], changes[id])
+	}
+	const anchorsMoved = refreshAnchors(board, page, Object.keys(changes))
+	recordHistory(roomId, board, socket.userInfo.id, { type: "update", pageId: page.id, before, after: structuredClone(changes) })
+	rooms.touch(roomId, { strokes: Object.keys(changes), discussion: anchorsMoved })
+	socket.emit("history-state", historyState(board, socket.userInfo.id))
+	broadcastChange(roomId, board, "elements-updated", { pageId: page.id, changes, opId })
+}
+
+// Các nét đang vẽ dở trên trang `pageId` của mọi socket trong phòng (cho người mới vào)
+function getLiveStrokes(roomId, pageId) {
+	const socketIds = io.sockets.adapter.rooms.get(roomId) || new Set()
+	const live = []
+	for (const socketId of socketIds) {
+		const s = io.sockets.sockets.get(socketId)
+		if (!s || !s.liveStrokes) continue
+		for (const stroke of s.liveStrokes.values()) {
+			if (stroke.pageId === pageId) live.push(stroke)
+		}
+	}
+	return live
+}
+
+// Giới hạn tần suất kiểu token bucket: mỗi khóa `key` trong `buckets` được `perSecond` lần
+// mỗi giây, dồn tối đa `burst` lần. Trả về false nếu phải bỏ sự kiện.
+function takeToken(buckets, key, { perSecond, burst }) {
+	const now = Date.now()
+	const bucket = buckets.get(key) || { tokens: burst, at: now }
+	bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.at) * perSecond / 1000)
+	bucket.at = now
+	buckets.set(key, bucket)
+	if (bucket.tokens < 1) return false
+	bucket.tokens--
+	return true
 }
 
-function generateRoomId() {
-	return Math.random().toString(36).substring(2, 8).toUpperCase()
+// Bỏ các khóa đã hồi đầy, không còn gì khác với khóa chưa từng dùng
+function pruneBuckets(buckets, { perSecond, burst }) {
+	const now = Date.now()
+	for (const [key, bucket] of buckets) {
+		if (bucket.tokens + (now - bucket.at) * perSecond / 1000 >= burst) buckets.delete(key)
+	}
+}
+
+// Giới hạn tần suất của từng socket, mỗi loại sự kiện `key` một bucket
+function allowEvent(socket, key, rate) {
+	return takeToken(socket.rateBuckets, key, rate)
+}
+
+// Số lần thử mật khẩu phòng, theo phòng + tài khoản và theo phòng + IP. Giữ trên server chứ
+// không theo socket, để kết nối lại hay đổi tài khoản không được thử lại từ đầu.
+const passwordAttempts = new Map()
+
+// Con trỏ của một client: { pos, pageId, tool, drawing }, hoặc null nếu không hợp lệ.
+// `tool` là tên công cụ đang cầm để người khác thấy, `drawing` là đang vẽ/xóa dở
+function normalizeCursor(data) {
+	if (!data || typeof data !== "object" || !isValidId(data.pageId)) return null
+	const { pos } = data
+	if (!pos || !Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return null
+	const tool = typeof data.tool === "string" && /^[a-z]{1,20}$/.test(data.tool) ? data.tool : null
+	return { pos: { x: pos.x, y: pos.y }, pageId: data.pageId, tool, drawing: data.drawing === true }
+}
+
+// Vùng đang nhìn của một client: { pageId, x, y, w, h } theo tọa độ board, hoặc null nếu không hợp lệ
+function normalizeViewport(data) {
+	if (!data || typeof data !== "object" || !isValidId(data.pageId)) return null
+	const { x, y, w, h } = data
+	if (![x, y, w, h].every(Number.isFinite) || w <= 0 || h <= 0) return null
+	return { pageId: data.pageId, x, y, w, h }
+}
+
+// Vùng đang nhìn của mọi socket khác trong phòng (cho người mới vào), theo userId
+function getViewports(roomId, except) {
+	const socketIds = io.sockets.adapter.rooms.get(roomId) || new Set()
+	const viewports = []
+	for (const socketId of socketIds) {
+		const s = io.sockets.sockets.get(socketId)
+		if (s && s !== except && s.viewport) viewports.push({ userId: s.userInfo.id, ...s.viewport })
+	}
+	return viewports
+}
+
+// Hủy các nét vẽ dở khi socket rời phòng hoặc mất kết nối
+function cancelLiveStrokes(socket, roomId) {
+	for (const strokeId of socket.liveStrokes.keys()) {
+		socket.to(roomId).emit("stroke-cancelled", strokeId)
+	}
+	socket.liveStrokes.clear()
+}
+
+function isValidRoomId(roomId) {
+	return typeof roomId === "string" && /^[A-Za-z0-9]{1,64}$/.test(roomId)
+}
+
+// ID phòng mới chưa board nào dùng, kể cả board trong thùng rác.
+// Bảng chữ có 32 ký tự nên mỗi byte ngẫu nhiên cho đúng một ký tự, không bị lệch.
+async function generateRoomId() {
+	for (;;) {
+		const bytes = crypto.randomBytes(ROOM_ID_LENGTH)
+		const roomId = Array.from(bytes, b => ROOM_ID_ALPHABET[b % ROOM_ID_ALPHABET.length]).join("")
+		if (!rooms.peek(roomId) && !(await storage.hasBoard(roomId))) return roomId
+	}
+}
+
+// Người chưa là thành viên được vào phòng nếu có link mời còn dùng được, hoặc đúng
+// mật khẩu phòng khi chủ phòng đã đặt. Biết mỗi ID phòng thì không vào được.
+// Trả về { role, invite } hoặc { code, error }.
+function admitNewMember(socket, roomId, board, { invite, password }) {
+	if (invite !== undefined) {
+		const link = findInvite(board, invite)
+		if (!link) return { code: "invite-invalid", error: "This invite link is invalid or has expired." }
+		return { role: link.role, invite: link }
+	}
+	if (!board.passwordHash) {
+		return { code: "invite-required", error: "You need an invite link to join this room." }
+	}
+	if (typeof password !== "string" || !password) {
+		return { code: "password-required", error: "This room is protected by a password." }
+	}
+	const attemptKeys = [`${roomId}:user:${socket.userInfo.id}`, `${roomId}:ip:${socket.clientIP}`]
+	if (!attemptKeys.map(key => takeToken(passwordAttempts, key, ROOM_PASSWORD_RATE)).every(Boolean)) {
+		return { code: "rate-limited", error: "Too many attempts. Try again later." }
+	}
+	if (!verifyPassword(password, board.passwordHash)) {
+		return { code: "password-wrong", error: "Wrong password." }
+	}
+	return { role: DEFAULT_ROLE }
+}
+
+function banMessage(ban) {
+	return ban.reason ? `You are banned from this room. Reason: ${ban.reason}` : "You are banned from this room."
+}
+
+// Link mời gửi cho chủ phòng, kèm đường dẫn tương đối để client ghép với origin
+function inviteInfo(roomId, invite) {
+	const url = `/board.html?room=${roomId}&invite=${encodeURIComponent(invite.token)}`
+	return { ...invite, url }
+}
+
+// Board trống mới của `owner` ({ id, username })
+function newBoard(roomId, owner, title = null) {
+	return {
+		roomId,
+		title,
+		owner: owner.id,
+		ownerName: owner.username,
+		thumbnail: null, // assetId của ảnh thu nhỏ do client tải lên
+		createdAt: Date.now(),
+		lastModified: Date.now(),
+		expiryDate: null, // Ngày chủ phòng chọn giữ board đến, xem boardExpiry
+		pinned: false,
+		// Mỗi trang giữ phần tử trong object thay vì array để xóa dễ hơn, xem lib/pages.js
+		pages: [{ id: uuidv4(), title: defaultPageTitle(0), strokes: {} }],
+		members: [],
+		bans: [] // Xem lib/bans.js
+	}
+}
+
+// Tiêu đề board đã cắt khoảng trắng: null nếu bỏ trống, undefined nếu không hợp lệ
+function normalizeTitle(title) {
+	if (title === null) return null
+	if (typeof title !== "string") return undefined
+	return title.trim().slice(0, MAX_TITLE_LENGTH) || null
+}
+
+// Board hết hạn khi không ai sửa trong BOARD_EXPIRY_DAYS ngày, hoặc vào ngày chủ phòng
+// chọn giữ đến (expiryDate) nếu muộn hơn. Trả về null nếu không bao giờ hết hạn.
+function boardExpiry(board) {
+	if (board.pinned || !BOARD_EXPIRY_DAYS) return null
+	return Math.max(board.expiryDate || 0, board.lastModified + BOARD_EXPIRY_DAYS * DAY)
+}
+
+// Thông tin một phòng cho các route /api/rooms, không kèm nội dung.
+// `board` có thể là bản tóm tắt từ storage.listBoardsOf (có elementCount, trang không kèm strokes).
+function roomSummary(board, userId) {
+	const owner = board.members.find(m => m.id === board.owner)
+	return {
+		roomId: board.roomId,
+		title: board.title || null,
+		owner: board.owner,
+		// Board cũ chưa lưu tên chủ phòng
+		ownerName: board.ownerName || (owner ? owner.username : null),
+		role: getRole(board, userId),
+		createdAt: board.createdAt,
+		lastModified: board.lastModified,
+		expiryDate: boardExpiry(board),
+		pinned: !!board.pinned,
+		elementCount: board.elementCount === undefined ? allElements(board).length : board.elementCount,
+		pageCount: board.pages.length,
+		memberCount: board.members.length,
+		thumbnail: board.thumbnail ? `/api/assets/${board.thumbnail}` : null
+	}
+}
+
+// Như roomSummary, thêm thời điểm bị xóa và ngày bị xóa hẳn
+function trashSummary(board, userId) {
+	return {
+		...roomSummary(board, userId),
+		expiryDate: null,
+		deletedAt: board.deletedAt,
+		purgeDate: board.deletedAt + TRASH_RETENTION_DAYS * DAY
+	}
 }
 
 // --- Middleware ---
+app.set("trust proxy", TRUST_PROXY)
+// File board nhập vào có thể kèm ảnh nên được lớn hơn các request khác
+app.use("/api/rooms/import", express.json({ limit: MAX_IMPORT_SIZE }))
 app.use(express.json({ limit: "10mb" }))
 app.use(express.static("public"))
 
+// Express 4 không tự bắt lỗi của route async: chuyển lỗi cho middleware lỗi cuối cùng
+// thay vì để thành unhandled rejection
+function asyncRoute(handler) {
+	return (req, res, next) => handler(req, res).catch(next)
+}
+
 // --- API Routes cho User Authentication ---
-app.post('/api/register', (req, res) => {
+app.post('/api/register', asyncRoute(async (req, res) => {
 	const { username, password } = req.body
-	if (!username || !password) {
+	if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
 		return res.status(400).json({ message: "Username and password are required." })
 	}
-	const users = readUsers()
-	if (users.find(u => u.username === username)) {
+	if (await storage.getUserByName(username)) {
 		return res.status(409).json({ message: "Username already exists." })
 	}
-	// Chú ý: Trong thực tế, bạn PHẢI mã hóa mật khẩu. Ví dụ: dùng bcrypt.
-	// const hashedPassword = await bcrypt.hash(password, 10);
-	const newUser = { id: uuidv4(), username, password /*: hashedPassword */ }
-	users.push(newUser)
-	writeUsers(users)
-	res.status(201).json({ id: newUser.id, username: newUser.username })
-})
+	const newUser = { id: uuidv4(), username, passwordHash: hashPassword(password) }
+	await storage.createUser(newUser)
+	res.status(201).json(sessionResponse(newUser))
+}))
 
-app.post('/api/login', (req, res) => {
+app.post('/api/login', asyncRoute(async (req, res) => {
 	const { username, password } = req.body
-	const users = readUsers()
-	const user = users.find(u => u.username === username)
-	// Chú ý: So sánh mật khẩu đã được mã hóa trong thực tế
-	// const match = await bcrypt.compare(password, user.password);
-	if (user && user.password === password) {
-		res.status(200).json({ id: user.id, username: user.username })
-	} else {
-		res.status(401).json({ message: "Invalid credentials." })
+	if (typeof username !== "string" || typeof password !== "string") {
+		return res.status(401).json({ message: "Invalid credentials." })
+	}
+	const user = await storage.getUserByName(username)
+	if (!user) {
+		return res.status(401).json({ message: "Invalid credentials." })
 	}
+	// Tài khoản cũ còn lưu mật khẩu thô: so sánh rồi chuyển sang hash
+	if (user.password !== undefined) {
+		if (user.password !== password) {
+			return res.status(401).json({ message: "Invalid credentials." })
+		}
+		user.passwordHash = hashPassword(password)
+		delete user.password
+		await storage.updateUser(user)
+	} else if (!verifyPassword(password, user.passwordHash)) {
+		return res.status(401).json({ message: "Invalid credentials." })
+	}
+	res.status(200).json(sessionResponse(user))
+}))
+
+// --- API Routes cho ảnh ---
+// Body là nội dung ảnh, Content-Type là loại ảnh (png, jpeg, gif, webp)
+app.post("/api/assets", requireAuth, express.raw({ type: Object.keys(AssetStore.MIME_TYPES), limit: MAX_ASSET_SIZE }), asyncRoute(async (req, res) => {
+	if (!Buffer.isBuffer(req.body) || !req.body.length) {
+		return res.status(415).json({ message: "Unsupported image type." })
+	}
+	const asset = await assets.save(req.body)
+	if (!asset) {
+		return res.status(415).json({ message: "Unsupported image type." })
+	}
+	res.status(201).json(asset)
+}))
+
+// Nội dung của một assetId không bao giờ đổi nên cho cache vĩnh viễn
+app.get("/api/assets/:assetId", asyncRoute(async (req, res) => {
+	const asset = await assets.find(req.params.assetId)
+	if (!asset) {
+		return res.status(404).json({ message: "Image not found." })
+	}
+	res.type(asset.mime)
+	res.sendFile(asset.file, {
+		maxAge: "1y",
+		immutable: true,
+		headers: { "X-Content-Type-Options": "nosniff" }
+	})
+}))
+
+// Lỗi khi đọc body ảnh (quá lớn...) trả về JSON như các route khác
+app.use("/api/assets", (err, req, res, next) => {
+	if (!err.status) return next(err)
+	const status = err.status || 500
+	const message = status === 413 ? "Image is too large." : "Upload failed."
+	res.status(status).json({ message })
+})
+
+// --- API Routes cho board ---
+// Tải board về dạng file, cho cả script: GET /api/rooms/:roomId/export?format=json|svg|png|pdf&page=pageId
+// JSON gồm mọi trang; SVG, PNG và PDF là một trang, mặc định trang đầu.
+app.get("/api/rooms/:roomId/export", requireAuth, asyncRoute(async (req, res) => {
+	const format = req.query.format || "svg"
+	if (!EXPORT_FORMATS[format]) {
+		return res.status(400).json({ message: "Format must be json, svg, png or pdf." })
+	}
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await rooms.load(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found." })
+	}
+	// Chỉ người đã vào phòng mới được tải
+	const denied = checkRoomAccess(req, board)
+	if (denied) {
+		return res.status(403).json({ message: denied })
+	}
+	const page = req.query.page === undefined ? board.pages[0] : findPage(board, req.query.page)
+	if (!page) {
+		return res.status(404).json({ message: "Page not found." })
+	}
+	try {
+		const file = await exportBoard(board, format, { assets, pageId: page.id })
+		res.type(EXPORT_FORMATS[format])
+		res.attachment(`board-${roomId}.${format}`)
+		res.send(file)
+	} catch (err) {
+		if (err.code === "EXPORT_UNAVAILABLE") {
+			return res.status(501).json({ message: err.message })
+		}
+		console.error(`Failed to export board ${roomId}:`, err)
+		res.status(500).json({ message: "Export failed." })
+	}
+}))
+
+// Tạo phòng mới từ một tài liệu board (xem docs/board-format.md)
+app.post("/api/rooms/import", requireAuth, asyncRoute(async (req, res) => {
+	let parsed
+	try {
+		parsed = parseDocument(req.body)
+	} catch (err) {
+		// Tài liệu hỏng tới mức các bước nâng cấp không đọc nổi
+		return res.status(400).json({ message: "Not a vDraw board file." })
+	}
+	const { title, pages, assets: images, error } = parsed
+	if (error) {
+		return res.status(400).json({ message: error })
+	}
+	// Ảnh nhúng được lưu lại; assetId lấy theo hash thật của nội dung
+	const assetIds = new Map()
+	for (const image of images) {
+		if (image.buffer.length > MAX_ASSET_SIZE) {
+			return res.status(413).json({ message: "Image is too large." })
+		}
+		const asset = await assets.save(image.buffer)
+		if (!asset) {
+			return res.status(400).json({ message: "Unsupported image type." })
+		}
+		assetIds.set(image.assetId, asset.assetId)
+	}
+	const elements = pages.flatMap(page => page.elements)
+	for (const element of elements) {
+		if (element.type === "image" && assetIds.has(element.assetId)) element.assetId = assetIds.get(element.assetId)
+	}
+	if (await findMissingImage(elements)) {
+		return res.status(400).json({ message: "Image not found." })
+	}
+	const roomId = await generateRoomId()
+	const board = newBoard(roomId, req.user, normalizeTitle(title) || null)
+	board.pages = pages.map((page, index) => {
+		const strokes = {}
+		for (const element of page.elements) {
+			strokes[element.id] = { ...element, authorId: req.user.id }
+		}
+		return { id: uuidv4(), title: normalizePageTitle(page.title) || defaultPageTitle(index), strokes }
+	})
+	await rooms.create(roomId, board)
+	res.status(201).json({ roomId })
+}))
+
+// Body không phải JSON hoặc quá lớn
+app.use("/api/rooms/import", (err, req, res, next) => {
+	if (!err.status) return next(err)
+	const status = err.status || 500
+	const message = status === 413 ? "Board file is too large." : "Not a vDraw board file."
+	res.status(status).json({ message })
+})
+
+// --- API Routes quản lý phòng ---
+// Các trường sửa được qua PATCH /api/rooms/:roomId và quyền cần có cho từng trường
+const ROOM_FIELDS = {
+	title: "rename-room",
+	expiryDate: "set-room-expiry",
+	pinned: "pin-room",
+	thumbnail: "set-thumbnail"
+}
+
+// Các phòng mình sở hữu hoặc đã vào, mới sửa gần nhất lên đầu
+app.get("/api/rooms", requireAuth, asyncRoute(async (req, res) => {
+	const boards = new Map()
+	for (const board of await storage.listBoardsOf(req.user.id)) {
+		boards.set(board.roomId, board)
+	}
+	// Phòng đang mở mới hơn bản trong storage, có thể chưa kịp ghi thành viên mới
+	for (const board of rooms.openBoards()) {
+		if (boards.has(board.roomId) || isRoomMember(board, req.user.id)) boards.set(board.roomId, board)
+	}
+	const list = [...boards.values()]
+		.filter(board => isRoomMember(board, req.user.id) && !findBan(board, req.user.id, req.ip))
+		.map(board => roomSummary(board, req.user.id))
+		.sort((a, b) => b.lastModified - a.lastModified)
+	res.json({
+		rooms: list,
+		expiry: { expiryDays: BOARD_EXPIRY_DAYS, trashRetentionDays: TRASH_RETENTION_DAYS, maxExpiryDays: MAX_EXPIRY_DAYS }
+	})
+}))
+
+// Thùng rác: các phòng mình sở hữu đã bị xóa hoặc hết hạn, chưa bị xóa hẳn
+app.get("/api/rooms/trash", requireAuth, asyncRoute(async (req, res) => {
+	const list = (await storage.listTrash())
+		.filter(board => board.owner === req.user.id)
+		.map(board => trashSummary(board, req.user.id))
+		.sort((a, b) => b.deletedAt - a.deletedAt)
+	res.json({ rooms: list })
+}))
+
+app.post("/api/rooms/trash/:roomId/restore", requireAuth, asyncRoute(async (req, res) => {
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await storage.loadTrashedBoard(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found in trash." })
+	}
+	const denied = checkRoomAccess(req, board, "restore-room")
+	if (denied) {
+		return res.status(403).json({ message: denied })
+	}
+	await storage.restoreBoard(roomId)
+	// Tính lại hạn từ lúc khôi phục, không thì board hết hạn lại ngay
+	const restored = await rooms.acquire(roomId)
+	rooms.touch(roomId, {})
+	const summary = roomSummary(restored, req.user.id)
+	await rooms.release(roomId)
+	res.json(summary)
+}))
+
+// Xóa hẳn, không khôi phục được nữa
+app.delete("/api/rooms/trash/:roomId", requireAuth, asyncRoute(async (req, res) => {
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await storage.loadTrashedBoard(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found in trash." })
+	}
+	const denied = checkRoomAccess(req, board, "delete-room")
+	if (denied) {
+		return res.status(403).json({ message: denied })
+	}
+	await storage.deleteBoard(roomId)
+	res.status(204).end()
+}))
+
+app.post("/api/rooms", requireAuth, asyncRoute(async (req, res) => {
+	const title = normalizeTitle((req.body || {}).title === undefined ? null : req.body.title)
+	if (title === undefined) {
+		return res.status(400).json({ message: "Invalid title." })
+	}
+	const roomId = await generateRoomId()
+	const board = newBoard(roomId, req.user, title)
+	await rooms.create(roomId, board)
+	res.status(201).json(roomSummary(board, req.user.id))
+}))
+
+app.get("/api/rooms/:roomId", requireAuth, asyncRoute(async (req, res) => {
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await rooms.load(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found." })
+	}
+	const denied = checkRoomAccess(req, board)
+	if (denied) {
+		return res.status(403).json({ message: denied })
+	}
+	res.json(roomSummary(board, req.user.id))
+}))
+
+// Body gồm một hoặc nhiều trường của ROOM_FIELDS. `expiryDate` là mốc thời gian (ms) chủ phòng
+// muốn giữ board ít nhất tới, hoặc null; `pinned` là true/false;
+// `thumbnail` là assetId của ảnh đã tải lên qua /api/assets hoặc null.
+app.patch("/api/rooms/:roomId", requireAuth, asyncRoute(async (req, res) => {
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await rooms.acquire(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found." })
+	}
+	try {
+		const body = req.body || {}
+		const fields = Object.keys(ROOM_FIELDS).filter(field => body[field] !== undefined)
+		if (!fields.length) {
+			return res.status(400).json({ message: "Nothing to change." })
+		}
+		for (const field of fields) {
+			const denied = checkRoomAccess(req, board, ROOM_FIELDS[field])
+			if (denied) {
+				return res.status(403).json({ message: denied })
+			}
+		}
+		const changes = {}
+		if (fields.includes("title")) {
+			changes.title = normalizeTitle(body.title)
+			if (changes.title === undefined) {
+				return res.status(400).json({ message: "Invalid title." })
+			}
+		}
+		if (fields.includes("expiryDate")) {
+			const now = Date.now()
+			const valid = body.expiryDate === null
+				|| (Number.isFinite(body.expiryDate) && body.expiryDate > now && body.expiryDate <= now + MAX_EXPIRY_DAYS * DAY)
+			if (!valid) {
+				return res.status(400).json({ message: `Expiry date must be within the next ${MAX_EXPIRY_DAYS} days.` })
+			}
+			changes.expiryDate = body.expiryDate
+		}
+		if (fields.includes("pinned")) {
+			if (typeof body.pinned !== "boolean") {
+				return res.status(400).json({ message: "Invalid pinned value." })
+			}
+			changes.pinned = body.pinned
+		}
+		if (fields.includes("thumbnail")) {
+			if (body.thumbnail !== null && !(await assets.find(body.thumbnail))) {
+				return res.status(400).json({ message: "Image not found." })
+			}
+			changes.thumbnail = body.thumbnail
+		}
+		Object.assign(board, changes)
+		rooms.touch(roomId, { meta: true })
+		io.to(roomId).emit("room-updated", { title: board.title || null, expiryDate: boardExpiry(board), pinned: !!board.pinned })
+		res.json(roomSummary(board, req.user.id))
+	} finally {
+		releaseRoom(roomId)
+	}
+}))
+
+app.delete("/api/rooms/:roomId", requireAuth, asyncRoute(async (req, res) => {
+	const { roomId } = req.params
+	const board = isValidRoomId(roomId) ? await rooms.load(roomId) : null
+	if (!board) {
+		return res.status(404).json({ message: "Room not found." })
+	}
+	const denied = checkRoomAccess(req, board, "delete-room")
+	if (denied) {
+		return res.status(403).json({ message: denied })
+	}
+	// Vào thùng rác, chủ phòng còn khôi phục được trong TRASH_RETENTION_DAYS ngày
+	closeRoom(roomId, "This board has been deleted.")
+	await rooms.trash(roomId, Date.now())
+	res.status(204).end()
+}))
+
+// Lỗi không lường trước của mọi route (đọc/ghi storage thất bại...)
+app.use((err, req, res, next) => {
+	if (!err.status) console.error(`${req.method} ${req.path} failed:`, err)
+	if (res.headersSent) return next(err)
+	res.status(err.status || 500).json({ message: err.status ? "Bad request." : "Something went wrong." })
 })
 
 // --- Socket.IO Logic ---
-io.on("connection", (socket) => {
-	// Gán user info vào socket để sử dụng sau này
-	socket.userInfo = { id: null, username: 'Anonymous' }
+// IP thật của client theo cùng quy tắc "trust proxy" với req.ip: đi ngược X-Forwarded-For
+// từ địa chỉ kết nối, dừng ở địa chỉ đầu tiên không phải proxy tin cậy
+function clientIP(socket) {
+	const trust = app.get("trust proxy fn")
+	const forwarded = String(socket.handshake.headers["x-forwarded-for"] || "")
+		.split(",").map(addr => addr.trim()).filter(Boolean).reverse()
+	const addrs = [socket.handshake.address, ...forwarded]
+	let i = 0
+	while (i < addrs.length - 1 && trust(addrs[i], i)) i++
+	return addrs[i]
+}
 
-	socket.on('authenticate', (userData) => {
-		socket.userInfo = userData;
-	});
+// Xác thực token ngay khi handshake, userInfo chỉ lấy từ token đã ký
+io.use((socket, next) => {
+	const user = verifyToken(socket.handshake.auth && socket.handshake.auth.token)
+	if (!user) return next(new Error("Unauthorized"))
+	socket.userInfo = user
+	socket.clientIP = clientIP(socket)
+	next()
+})
+
+io.on("connection", (socket) => {
+	socket.liveStrokes = new Map() // strokeId -> nét đang vẽ, chưa lưu
+	socket.viewport = null // Vùng đang nhìn gửi qua viewport-update, xem normalizeViewport
+	socket.rateBuckets = new Map() // Xem allowEvent
 
 	// --- Room Management ---
-	socket.on("create-room", (callback) => {
-		const roomId = generateRoomId()
-		const newBoard = {
-			roomId,
-			owner: socket.userInfo.id,
-			createdAt: Date.now(),
-			lastModified: Date.now(),
-			expiryDate: Date.now() + BOARD_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
-			strokes: {}, // Dùng object thay vì array để xóa dễ hơn
-			members: [],
-			bannedIPs: []
-		}
-		writeBoard(roomId, newBoard)
-		callback({ success: true, roomId })
+	socket.on("create-room", async (callback) => {
+		const respond = typeof callback === "function" ? callback : () => {}
+		try {
+			const roomId = await generateRoomId()
+			await rooms.create(roomId, newBoard(roomId, socket.userInfo))
+			respond({ success: true, roomId })
+		} catch (err) {
+			console.error("Failed to create room:", err)
+			respond({ success: false, message: "Could not create the room." })
+		}
 	})
 
-	socket.on("join-room", (roomId, callback) => {
-		const board = readBoard(roomId)
+	// payload là roomId hoặc { roomId, pageId }, khi kết nối lại thêm { since, pendingOpIds }.
+	// Người chưa là thành viên gửi kèm `invite` (token của link mời) hoặc `password`, xem admitNewMember.
+	// Chỉ gửi phần tử của trang `pageId` (mặc định trang đầu), các trang khác lấy qua get-page.
+	socket.on("join-room", async (payload, ack) => {
+		const callback = typeof ack === "function" ? ack : () => {}
+		const { roomId, pageId, since, pendingOpIds, invite, password } = typeof payload === "string" ? { roomId: payload } : payload || {}
+		if (!isValidRoomId(roomId)) {
+			return callback({ success: false, message: "Room not found." })
+		}
+		let board
+		try {
+			board = await rooms.acquire(roomId)
+		} catch (err) {
+			console.error(`Failed to load board ${roomId}:`, err)
+			return callback({ success: false, message: "Could not load the room." })
+		}
 		if (!board) {
 			return callback({ success: false, message: "Room not found." })
 		}
 		
-		const userIP = socket.handshake.address;
-		if (board.bannedIPs && board.bannedIPs.includes(userIP)) {
-			return callback({ success: false, message: "You are banned from this room." });
+		const ban = findBan(board, socket.userInfo.id, socket.clientIP)
+		if (ban) {
+			releaseRoom(roomId)
+			return callback({ success: false, code: "banned", message: banMessage(ban), ban: { reason: ban.reason, expiresAt: ban.expiresAt } })
+		}
+		let admission = null
+		if (!isRoomMember(board, socket.userInfo.id)) {
+			admission = admitNewMember(socket, roomId, board, { invite, password })
+			if (admission.error) {
+				releaseRoom(roomId)
+				return callback({ success: false, code: admission.code, message: admission.error })
+			}
+			if (admission.invite) admission.invite.uses++
 		}
 
 		if (socket.currentRoom) {
-			socket.leave(socket.currentRoom)
+			leaveCurrentRoom(socket)
 		}
 		socket.join(roomId)
 		socket.currentRoom = roomId
@@ -136,142 +1112,863 @@ io.on("connection", (socket) => {
 		if (existingMember) {
 			existingMember.status = 'online'
 			existingMember.socketId = socket.id;
+			existingMember.role = getRole(board, socket.userInfo.id)
 		} else {
-			board.members.push({ ...socket.userInfo, status: 'online', socketId: socket.id })
+			board.members.push({
+				...socket.userInfo,
+				role: admission ? admission.role : getRole(board, socket.userInfo.id),
+				status: 'online',
+				socketId: socket.id
+			})
 		}
-		writeBoard(roomId, board)
+		rooms.touch(roomId, { members: true, invites: !!(admission && admission.invite) })
 
-		callback({ success: true, boardData: board })
+		const page = findPage(board, pageId) || board.pages[0]
+		const response = {
+			success: true,
+			revision: board.revision || 0,
+			pageId: page.id,
+			liveStrokes: getLiveStrokes(roomId, page.id),
+			viewports: getViewports(roomId, socket),
+			history: historyState(board, socket.userInfo.id),
+			reads: readsOf(board, socket.userInfo.id)
+		}
+		// Gửi phần thay đổi còn thiếu nếu được, không thì gửi cả board (cả khi trang đang xem đã bị xóa)
+		const changes = since === undefined || page.id !== pageId ? null : getChangesSince(roomId, board, since)
+		if (changes) {
+			response.changes = changes
+			response.members = board.members
+		} else {
+			// Lịch sử undo, dấu đã đọc của mọi người, link mời, mật khẩu và lệnh cấm không gửi xuống client
+			const { history, reads, invites, passwordHash, bans, bannedIPs, pages, ...boardData } = board
+			response.boardData = { ...boardData, hasPassword: !!passwordHash, pages: pageList(board), strokes: page.strokes }
+		}
+		// Cho client biết thao tác nào đang chờ ack thực ra đã được áp dụng
+		if (Array.isArray(pendingOpIds)) {
+			const ops = recentOps.get(roomId) || new Map()
+			response.appliedOps = pendingOpIds
+				.filter(opId => ops.has(opId))
+				.map(opId => ({ opId, response: ops.get(opId) }))
+		}
+		callback(response)
 		
 		// Gửi thông tin thành viên mới cho mọi người trong phòng
 		io.to(roomId).emit('update-members', board.members)
 	})
 
 	// --- Whiteboard Actions ---
-	socket.on("add-stroke", ({ roomId, strokeData }) => {
-		const board = readBoard(roomId)
-		if (!board) return
+	// Mọi thao tác trên phần tử đều kèm pageId của trang đang mở (xem paged)
+	socket.on("add-stroke", paged(socket, "add-stroke", async (board, page, { roomId, strokeData, opId }, respond) => {
+		const { element, error } = sanitizeElement(strokeData)
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		if (element.type === "image") {
+			if (await findMissingImage([element])) {
+				return respond({ success: false, message: "Image not found." })
+			}
+			const invalid = revalidate(socket, "add-stroke", roomId, board, page)
+			if (invalid) {
+				return respond(invalid)
+			}
+		}
+		if (strokeData.id !== undefined && !isValidId(strokeData.id)) {
+			return respond({ success: false, message: "Invalid stroke ID." })
+		}
 		
-		// Đảm bảo stroke có ID
+		// Client không gửi ID thì server cấp, và trả lại qua ack
 		const strokeId = strokeData.id || uuidv4();
-		board.strokes[strokeId] = { id: strokeId, ...strokeData };
-		writeBoard(roomId, board)
+		const existingPage = findPageOf(board, strokeId)
+		if (existingPage) {
+			// Gửi lại nét của chính mình thì coi như đã xong
+			if (existingPage === page && page.strokes[strokeId].authorId === socket.userInfo.id) {
+				return respond({ success: true, strokeId, duplicate: true })
+			}
+			return respond({ success: false, message: "Stroke already exists." })
+		}
+		page.strokes[strokeId] = { ...element, id: strokeId, authorId: socket.userInfo.id, z: nextZ(page.strokes) };
+		recordHistory(roomId, board, socket.userInfo.id, { type: "add", pageId: page.id, strokeIds: [strokeId] })
+		rooms.touch(roomId, { strokes: [strokeId] })
+		respond({ success: true, strokeId })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
 		
 		// Gửi nét vẽ mới cho những người khác (bao gồm cả người gửi để đồng bộ)
-		io.to(roomId).emit("new-stroke", { strokeId, strokeData: board.strokes[strokeId] })
-	})
+		broadcastChange(roomId, board, "new-stroke", { pageId: page.id, strokeId, strokeData: page.strokes[strokeId], opId })
+	}))
 	
-	socket.on("delete-stroke", ({ roomId, strokeId }) => {
-		const board = readBoard(roomId)
-		if (!board) return
-		
-		// Chỉ chủ phòng mới có quyền xóa (ví dụ)
-		// if (board.owner !== socket.userInfo.id) return;
-		
-		if (board.strokes[strokeId]) {
-			delete board.strokes[strokeId]
-			writeBoard(roomId, board)
-			io.to(roomId).emit("stroke-deleted", strokeId)
+	// --- Live Stroke Streaming ---
+	// Nét vẽ được gửi dần: stroke-begin -> stroke-points (nhiều lần) -> stroke-end.
+	// Chỉ lưu khi stroke-end, nét dở bị hủy khi rời phòng. stroke-points chỉ để người khác
+	// thấy nét đang vẽ và có thể bị bỏ (giới hạn tần suất), nên stroke-end gửi kèm mọi điểm của nét.
+	socket.on("stroke-begin", paged(socket, "add-stroke", (board, page, { roomId, stroke }, respond) => {
+		// Chỉ nét vẽ tay mới được gửi dần, hình thì gửi một lần qua add-stroke
+		const { element, error } = sanitizeElement(stroke, { allowIncomplete: true })
+		if (error || element.type !== "stroke" || !isValidId(element.id)) {
+			return respond({ success: false, message: error || "Invalid stroke." })
 		}
-	})
+		if (findPageOf(board, element.id) || socket.liveStrokes.has(element.id)) {
+			return respond({ success: false, message: "Stroke already exists." })
+		}
+		if (socket.liveStrokes.size >= MAX_LIVE_STROKES) {
+			return respond({ success: false, message: "Too many strokes in progress." })
+		}
+		// Thứ tự vẽ do server cấp khi stroke-end, không lấy z client gửi
+		const { z, ...fields } = element
+		const live = { ...fields, userId: socket.userInfo.id, pageId: page.id }
+		socket.liveStrokes.set(live.id, live)
+		respond({ success: true })
+		socket.to(roomId).emit("stroke-started", live)
+	}))
+
+	socket.on("stroke-points", guarded(socket, "add-stroke", (board, { roomId, strokeId, points }, respond) => {
+		if (!allowEvent(socket, "stroke-points", STROKE_POINTS_RATE)) {
+			return respond({ success: false, code: "rate-limited", message: "Too many updates." })
+		}
+		const live = socket.liveStrokes.get(strokeId)
+		if (!live) {
+			return respond({ success: false, code: "not-found", message: "Stroke not found." })
+		}
+		const batch = sanitizePoints(points).slice(0, MAX_STROKE_POINTS - live.points.length)
+		live.points.push(...batch)
+		respond({ success: true })
+		if (batch.length) {
+			socket.to(roomId).emit("stroke-points", { strokeId, points: batch })
+		}
+	}))
+
+	socket.on("stroke-end", guarded(socket, "add-stroke", (board, { roomId, strokeId, points, opId }, respond) => {
+		const live = socket.liveStrokes.get(strokeId)
+		if (!live) {
+			return respond({ success: false, code: "not-found", message: "Stroke not found." })
+		}
+		socket.liveStrokes.delete(strokeId)
+		// Nét được lưu theo danh sách điểm đầy đủ này, không theo các điểm đã nhận qua stroke-points
+		live.points = sanitizePoints(points).slice(0, MAX_STROKE_POINTS)
+		const page = findPage(board, live.pageId)
+		if (!page) {
+			socket.to(roomId).emit("stroke-cancelled", strokeId)
+			return respond({ success: false, code: "page-not-found", message: "Page not found." })
+		}
+		if (live.points.length < 2) {
+			socket.to(roomId).emit("stroke-cancelled", strokeId)
+			return respond({ success: false, message: "Stroke is too short." })
+		}
+		const { userId, pageId, ...rest } = live
+		const strokeData = { ...rest, authorId: userId, z: nextZ(page.strokes) }
+		page.strokes[strokeId] = strokeData
+		recordHistory(roomId, board, userId, { type: "add", pageId, strokeIds: [strokeId] })
+		rooms.touch(roomId, { strokes: [strokeId] })
+		respond({ success: true, strokeId })
+		socket.emit("history-state", historyState(board, userId))
+		broadcastChange(roomId, board, "new-stroke", { pageId, strokeId, strokeData, opId })
+	}))
 
-	socket.on("clear-board", (roomId) => {
-		const board = readBoard(roomId)
-		if (board && board.owner === socket.userInfo.id) { // Chỉ chủ phòng được clear
-			board.strokes = {}
-			writeBoard(roomId, board)
-			io.to(roomId).emit("board-cleared")
+	socket.on("stroke-cancel", (data) => {
+		if (!data || typeof data !== "object") return
+		const { roomId, strokeId } = data
+		if (socket.liveStrokes.delete(strokeId) && roomId === socket.currentRoom) {
+			socket.to(roomId).emit("stroke-cancelled", strokeId)
 		}
 	})
+	
+	socket.on("delete-stroke", paged(socket, "delete-stroke", (board, page, { roomId, strokeId, opId }, respond) => {
+		const stroke = getElement(page, strokeId)
+		if (!stroke) {
+			return respond({ success: false, code: "not-found", message: "Stroke not found." })
+		}
+		recordHistory(roomId, board, socket.userInfo.id, { type: "delete", pageId: page.id, strokes: [stroke] })
+		delete page.strokes[strokeId]
+		rooms.touch(roomId, { strokes: [strokeId] })
+		respond({ success: true })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "stroke-deleted", { pageId: page.id, strokeId, opId })
+	}))
 
-	// Move/update strokes by delta
-	socket.on('update-strokes', ({ roomId, strokeIds, dx, dy }) => {
-		const board = readBoard(roomId)
-		if (!board) return
-		if (!Array.isArray(strokeIds) || typeof dx !== 'number' || typeof dy !== 'number') return
-		for (const id of strokeIds) {
-			const s = board.strokes[id]
-			if (!s) continue
-			if (Array.isArray(s.points)) {
-				for (const p of s.points) {
-					p.x += dx; p.y += dy;
-				}
+	// Thêm nhiều phần tử cùng lúc (nhân bản vùng chọn), undo một lần là bỏ hết
+	socket.on("add-strokes", paged(socket, "add-stroke", async (board, page, { roomId, strokes, opId }, respond) => {
+		if (!Array.isArray(strokes) || !strokes.length || strokes.length > MAX_BATCH_SIZE) {
+			return respond({ success: false, message: "Invalid strokes." })
+		}
+		const elements = []
+		for (const data of strokes) {
+			const { element, error } = sanitizeElement(data)
+			if (error) {
+				return respond({ success: false, message: error })
+			}
+			if (!isValidId(element.id)) {
+				return respond({ success: false, message: "Invalid stroke ID." })
 			}
-			board.strokes[id] = s
+			elements.push(element)
 		}
-		writeBoard(roomId, board)
-		io.to(roomId).emit('strokes-updated', { strokeIds, dx, dy })
-	})
+		if (await findMissingImage(elements)) {
+			return respond({ success: false, message: "Image not found." })
+		}
+		const invalid = revalidate(socket, "add-stroke", roomId, board, page)
+		if (invalid) {
+			return respond(invalid)
+		}
+		const ids = new Set(elements.map(el => el.id))
+		if (ids.size !== elements.length || elements.some(el => findPageOf(board, el.id))) {
+			return respond({ success: false, message: "Stroke already exists." })
+		}
+		// Giữ thứ tự gửi lên, nằm trên mọi phần tử hiện có
+		let z = nextZ(page.strokes)
+		const added = elements.map(el => ({ ...el, authorId: socket.userInfo.id, z: z++ }))
+		for (const el of added) page.strokes[el.id] = el
+		const strokeIds = added.map(el => el.id)
+		recordHistory(roomId, board, socket.userInfo.id, { type: "add", pageId: page.id, strokeIds })
+		rooms.touch(roomId, { strokes: strokeIds })
+		respond({ success: true, strokeIds })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "strokes-added", { pageId: page.id, strokes: added, opId })
+	}))
+
+	socket.on("delete-strokes", paged(socket, "delete-stroke", (board, page, { roomId, strokeIds, opId }, respond) => {
+		if (!Array.isArray(strokeIds) || strokeIds.length > MAX_BATCH_SIZE) {
+			return respond({ success: false, message: "Invalid strokes." })
+		}
+		const removed = [...new Set(strokeIds)].filter(id => getElement(page, id)).map(id => getElement(page, id))
+		if (!removed.length) {
+			return respond({ success: false, code: "not-found", message: "Stroke not found." })
+		}
+		const removedIds = removed.map(s => s.id)
+		for (const id of removedIds) delete page.strokes[id]
+		recordHistory(roomId, board, socket.userInfo.id, { type: "delete", pageId: page.id, strokes: removed })
+		rooms.touch(roomId, { strokes: removedIds })
+		respond({ success: true })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "strokes-deleted", { pageId: page.id, strokeIds: removedIds, opId })
+	}))
+
+	// Xóa một số phần tử và thêm phần tử mới trong cùng một bước, ví dụ tẩy
+	// một phần nét vẽ: nét cũ bị xóa, các đoạn còn lại được thêm thành nét mới
+	socket.on("replace-strokes", paged(socket, "delete-stroke", async (board, page, { roomId, strokeIds, strokes, opId }, respond) => {
+		if (!Array.isArray(strokeIds) || !strokeIds.length || !Array.isArray(strokes) || strokes.length > MAX_BATCH_SIZE) {
+			return respond({ success: false, message: "Invalid strokes." })
+		}
+		const elements = []
+		for (const data of strokes) {
+			const { element, error } = sanitizeElement(data)
+			if (error) {
+				return respond({ success: false, message: error })
+			}
+			if (!isValidId(element.id)) {
+				return respond({ success: false, message: "Invalid stroke ID." })
+			}
+			elements.push(element)
+		}
+		if (await findMissingImage(elements)) {
+			return respond({ success: false, message: "Image not found." })
+		}
+		const invalid = revalidate(socket, "delete-stroke", roomId, board, page)
+		if (invalid) {
+			return respond(invalid)
+		}
+		// Nét gốc đã bị người khác xóa thì không thêm lại các mảnh của nó
+		const missing = strokeIds.filter(id => !getElement(page, id))
+		if (missing.length) {
+			return respond({ success: false, code: "not-found", message: "Stroke not found.", missing })
+		}
+		const ids = new Set(elements.map(el => el.id))
+		if (ids.size !== elements.length || elements.some(el => findPageOf(board, el.id))) {
+			return respond({ success: false, message: "Stroke already exists." })
+		}
+		const removed = [...new Set(strokeIds)].map(id => getElement(page, id))
+		for (const stroke of removed) delete page.strokes[stroke.id]
+		// Các mảnh giữ z của nét gốc để không nhảy lên trên
+		let z = nextZ(page.strokes)
+		const added = elements.map(el => ({ ...el, authorId: socket.userInfo.id, z: el.z === undefined ? z++ : el.z }))
+		for (const el of added) page.strokes[el.id] = el
+		const removedIds = removed.map(s => s.id)
+		const addedIds = added.map(el => el.id)
+		recordHistory(roomId, board, socket.userInfo.id, { type: "replace", pageId: page.id, strokeIds: addedIds, strokes: removed })
+		rooms.touch(roomId, { strokes: [...removedIds, ...addedIds] })
+		respond({ success: true })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "strokes-replaced", { pageId: page.id, strokeIds: removedIds, strokes: added, opId })
+	}))
+
+	// Xóa mọi phần tử của một trang, các trang khác giữ nguyên
+	socket.on("clear-board", paged(socket, "clear-board", (board, page, { roomId, opId }, respond) => {
+		const cleared = Object.values(page.strokes)
+		if (cleared.length) {
+			recordHistory(roomId, board, socket.userInfo.id, { type: "delete", pageId: page.id, strokes: cleared })
+		}
+		page.strokes = {}
+		rooms.touch(roomId, { strokes: cleared.map(s => s.id) })
+		respond({ success: true })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "board-cleared", { pageId: page.id, opId })
+	}))
+
+	// Di chuyển, co giãn, xoay các phần tử đã chọn (xem normalizeTransform)
+	function transformStrokes(board, page, { roomId, strokeIds, transform, opId }, respond) {
+		if (!Array.isArray(strokeIds) || strokeIds.length > MAX_BATCH_SIZE) {
+			return respond({ success: false, message: "Invalid update." })
+		}
+		const { transform: t, error } = normalizeTransform(transform)
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		// ID lặp lại sẽ bị biến đổi hai lần
+		const movedIds = [...new Set(strokeIds)].filter(id => getElement(page, id))
+		let anchorsMoved = false
+		if (movedIds.length) {
+			// Chỉ dịch thì nhớ độ dời là đủ, còn lại phải nhớ hình dạng cũ
+			const translation = isTranslation(t)
+			const before = {}
+			const after = {}
+			for (const id of movedIds) {
+				if (!translation) before[id] = geometryOf(page.strokes[id])
+				transformElement(page.strokes[id], t)
+				if (!translation) after[id] = geometryOf(page.strokes[id])
+			}
+			recordHistory(roomId, board, socket.userInfo.id, translation
+				? { type: "move", pageId: page.id, strokeIds: movedIds, dx: t.dx, dy: t.dy }
+				: { type: "update", pageId: page.id, before, after })
+			// Ghim bình luận đi theo phần tử được gắn vào
+			anchorsMoved = refreshAnchors(board, page, movedIds)
+		}
+		rooms.touch(roomId, { strokes: movedIds, discussion: anchorsMoved })
+		respond({ success: true })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+		broadcastChange(roomId, board, "strokes-transformed", { pageId: page.id, strokeIds: movedIds, transform: t, opId })
+	}
+
+	socket.on("transform-strokes", paged(socket, "update-strokes", transformStrokes))
+
+	// Chỉ dịch theo dx/dy, giữ cho client cũ
+	socket.on('update-strokes', paged(socket, "update-strokes", (board, page, { roomId, strokeIds, dx, dy, opId }, respond) => {
+		if (typeof dx !== 'number' || typeof dy !== 'number') {
+			return respond({ success: false, message: "Invalid update." })
+		}
+		transformStrokes(board, page, { roomId, strokeIds, transform: { dx, dy }, opId }, respond)
+	}))
+
+	// Đổi thứ tự vẽ trong trang: direction là "forward", "backward", "front" hoặc "back"
+	socket.on("reorder-strokes", paged(socket, "update-strokes", (board, page, { roomId, strokeIds, direction, opId }, respond) => {
+		if (!Array.isArray(strokeIds)) {
+			return respond({ success: false, message: "Invalid update." })
+		}
+		const changes = reorderElements(page.strokes, strokeIds.filter(id => getElement(page, id)), direction)
+		if (!changes) {
+			return respond({ success: false, message: "Invalid direction." })
+		}
+		respond({ success: true })
+		if (Object.keys(changes).length) updateElements(socket, roomId, board, page, changes, opId)
+	}))
+
+	// Sửa nội dung hoặc kiểu của một phần tử (chữ, ghi chú, màu...)
+	socket.on("update-element", paged(socket, "update-strokes", (board, page, { roomId, strokeId, changes, opId }, respond) => {
+		const element = getElement(page, strokeId)
+		if (!element) {
+			return respond({ success: false, code: "not-found", message: "Element not found." })
+		}
+		const { changes: clean, error } = sanitizeChanges(element, changes)
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		respond({ success: true })
+		updateElements(socket, roomId, board, page, { [strokeId]: clean }, opId)
+	}))
+
+	// --- Pages ---
+	// Nội dung một trang khi client chuyển trang
+	socket.on("get-page", paged(socket, "view-page", (board, page, { roomId }, respond) => {
+		respond({ success: true, pageId: page.id, strokes: page.strokes, liveStrokes: getLiveStrokes(roomId, page.id) })
+	}))
+
+	// Mọi thay đổi danh sách trang đều phát "pages-updated" với danh sách mới
+	function pagesUpdated(roomId, board, opId) {
+		rooms.touch(roomId, { meta: true })
+		broadcastChange(roomId, board, "pages-updated", { pages: pageList(board), opId })
+	}
+
+	// Thêm trang trống ở cuối; `title` bỏ trống thì đặt tên theo số thứ tự
+	socket.on("add-page", guarded(socket, "edit-pages", (board, { roomId, title, opId }, respond) => {
+		if (board.pages.length >= MAX_PAGES) {
+			return respond({ success: false, message: `A board can have at most ${MAX_PAGES} pages.` })
+		}
+		const pageTitle = title === undefined || title === "" ? defaultPageTitle(board.pages.length) : normalizePageTitle(title)
+		if (!pageTitle) {
+			return respond({ success: false, message: "Invalid page title." })
+		}
+		const page = { id: uuidv4(), title: pageTitle, strokes: {} }
+		board.pages.push(page)
+		respond({ success: true, pageId: page.id })
+		pagesUpdated(roomId, board, opId)
+	}))
+
+	socket.on("rename-page", paged(socket, "edit-pages", (board, page, { roomId, title, opId }, respond) => {
+		const pageTitle = normalizePageTitle(title)
+		if (!pageTitle) {
+			return respond({ success: false, message: "Invalid page title." })
+		}
+		page.title = pageTitle
+		respond({ success: true })
+		pagesUpdated(roomId, board, opId)
+	}))
+
+	// Chuyển trang tới vị trí `index` (tính từ 0) trong danh sách
+	socket.on("move-page", paged(socket, "edit-pages", (board, page, { roomId, index, opId }, respond) => {
+		if (!Number.isInteger(index) || index < 0 || index >= board.pages.length) {
+			return respond({ success: false, message: "Invalid page position." })
+		}
+		board.pages.splice(board.pages.indexOf(page), 1)
+		board.pages.splice(index, 0, page)
+		respond({ success: true })
+		pagesUpdated(roomId, board, opId)
+	}))
+
+	// Xóa trang cùng mọi phần tử trên đó, không undo được; board luôn còn ít nhất một trang
+	socket.on("delete-page", paged(socket, "delete-page", (board, page, { roomId, opId }, respond) => {
+		if (board.pages.length === 1) {
+			return respond({ success: false, message: "A board must have at least one page." })
+		}
+		// Nét đang vẽ dở trên trang này sẽ bị hủy khi stroke-end
+		board.pages.splice(board.pages.indexOf(page), 1)
+		// Client tự bỏ bình luận của trang không còn trong danh sách trang
+		deletePageComments(board, page.id)
+		rooms.touch(roomId, { strokes: Object.keys(page.strokes), discussion: true })
+		respond({ success: true })
+		pagesUpdated(roomId, board, opId)
+	}))
+
+	// --- Chat & Comments ---
+	// Không có undo; mọi thay đổi đi qua broadcastChange để client kết nối lại
+	// cũng nhận bù như thay đổi nội dung (xem lib/comments.js)
+	socket.on("send-chat", guarded(socket, "chat", (board, { roomId, text, opId }, respond) => {
+		const clean = normalizeMessageText(text)
+		if (!clean) {
+			return respond({ success: false, message: "Message is empty." })
+		}
+		const chat = chatOf(board)
+		const message = newMessage(socket.userInfo, clean)
+		chat.push(message)
+		if (chat.length > CHAT_LIMIT) chat.shift()
+		readsOf(board, socket.userInfo.id).chat = message.createdAt
+		rooms.touch(roomId, { discussion: true })
+		respond({ success: true, messageId: message.id })
+		broadcastChange(roomId, board, "chat-message", { message, opId })
+	}))
+
+	// Mở luồng bình luận mới tại `pos` trên trang, gắn vào phần tử `strokeId` nếu có
+	socket.on("add-comment", paged(socket, "comment", (board, page, { roomId, pos, strokeId, text, opId }, respond) => {
+		const clean = normalizeMessageText(text)
+		if (!clean) {
+			return respond({ success: false, message: "Comment is empty." })
+		}
+		const anchor = createAnchor(page, pos, strokeId)
+		if (!anchor) {
+			return respond({ success: false, message: "Invalid comment position." })
+		}
+		const comments = commentsOf(board)
+		if (Object.keys(comments).length >= MAX_COMMENTS) {
+			return respond({ success: false, message: `A board can have at most ${MAX_COMMENTS} comments.` })
+		}
+		const message = newMessage(socket.userInfo, clean)
+		const comment = {
+			id: uuidv4(),
+			pageId: page.id,
+			authorId: socket.userInfo.id,
+			anchor,
+			resolved: false,
+			createdAt: message.createdAt,
+			messages: [message]
+		}
+		comments[comment.id] = comment
+		readsOf(board, socket.userInfo.id)[comment.id] = message.createdAt
+		rooms.touch(roomId, { discussion: true })
+		respond({ success: true, commentId: comment.id })
+		broadcastChange(roomId, board, "comment-added", { comment, opId })
+	}))
+
+	socket.on("reply-comment", guarded(socket, "comment", (board, { roomId, commentId, text, opId }, respond) => {
+		const comment = findComment(board, commentId)
+		if (!comment) {
+			return respond({ success: false, code: "not-found", message: "Comment not found." })
+		}
+		const clean = normalizeMessageText(text)
+		if (!clean) {
+			return respond({ success: false, message: "Reply is empty." })
+		}
+		if (comment.messages.length > MAX_REPLIES) {
+			return respond({ success: false, message: `A comment can have at most ${MAX_REPLIES} replies.` })
+		}
+		const message = newMessage(socket.userInfo, clean)
+		comment.messages.push(message)
+		readsOf(board, socket.userInfo.id)[comment.id] = message.createdAt
+		rooms.touch(roomId, { discussion: true })
+		respond({ success: true, messageId: message.id })
+		broadcastChange(roomId, board, "comment-replied", { commentId, message, opId })
+	}))
+
+	// Đóng (resolved: true) hoặc mở lại một luồng
+	socket.on("resolve-comment", guarded(socket, "comment", (board, { roomId, commentId, resolved, opId }, respond) => {
+		const comment = findComment(board, commentId)
+		if (!comment) {
+			return respond({ success: false, code: "not-found", message: "Comment not found." })
+		}
+		if (comment.authorId !== socket.userInfo.id && !PERMISSIONS["resolve-comments"].includes(getRole(board, socket.userInfo.id))) {
+			return respond({ success: false, code: "forbidden", message: "You do not have permission to do that." })
+		}
+		comment.resolved = resolved === true
+		rooms.touch(roomId, { discussion: true })
+		respond({ success: true })
+		broadcastChange(roomId, board, "comment-resolved", { commentId, resolved: comment.resolved, opId })
+	}))
+
+	socket.on("delete-comment", guarded(socket, "comment", (board, { roomId, commentId, opId }, respond) => {
+		const comment = findComment(board, commentId)
+		if (!comment) {
+			return respond({ success: false, code: "not-found", message: "Comment not found." })
+		}
+		if (comment.authorId !== socket.userInfo.id && !PERMISSIONS["delete-comments"].includes(getRole(board, socket.userInfo.id))) {
+			return respond({ success: false, code: "forbidden", message: "You do not have permission to do that." })
+		}
+		deleteComment(board, commentId)
+		rooms.touch(roomId, { discussion: true })
+		respond({ success: true })
+		broadcastChange(roomId, board, "comment-deleted", { commentId, opId })
+	}))
+
+	// Đánh dấu đã đọc chat (`target` là "chat") hoặc một luồng bình luận tới thời điểm `at`
+	// (createdAt của tin mới nhất client đã thấy). Không gọi rooms.touch để việc đọc không làm
+	// đổi lastModified; dấu đã đọc được ghi cùng lần lưu kế tiếp, muộn nhất là khi rời phòng.
+	socket.on("mark-read", guarded(socket, "chat", (board, { roomId, target, at }, respond) => {
+		if (target !== "chat" && !findComment(board, target)) {
+			return respond({ success: false, code: "not-found", message: "Comment not found." })
+		}
+		if (!Number.isFinite(at)) {
+			return respond({ success: false, message: "Invalid read time." })
+		}
+		const reads = readsOf(board, socket.userInfo.id)
+		reads[target] = Math.max(reads[target] || 0, Math.min(at, Date.now()))
+		rooms.markChanged(roomId, { discussion: true })
+		respond({ success: true })
+	}))
+
+	// --- Undo/Redo ---
+	// Mỗi người chỉ undo/redo được thao tác của chính mình
+	socket.on("undo", guarded(socket, "undo", (board, { roomId, opId }, respond) => {
+		const history = getHistory(board, socket.userInfo.id)
+		const done = stepHistory(roomId, board, history.undo, history.redo, opId)
+		rooms.markChanged(roomId, { history: [socket.userInfo.id] })
+		respond(done ? { success: true } : { success: false, code: "empty", message: "Nothing to undo." })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+	}))
+
+	socket.on("redo", guarded(socket, "undo", (board, { roomId, opId }, respond) => {
+		const history = getHistory(board, socket.userInfo.id)
+		const done = stepHistory(roomId, board, history.redo, history.undo, opId)
+		rooms.markChanged(roomId, { history: [socket.userInfo.id] })
+		respond(done ? { success: true } : { success: false, code: "empty", message: "Nothing to redo." })
+		socket.emit("history-state", historyState(board, socket.userInfo.id))
+	}))
 
 	// --- Collaboration Features ---
+	// Client đã gom con trỏ lại trước khi gửi; ở đây chỉ chặn client gửi quá nhiều
 	socket.on('cursor-move', (data) => {
-		socket.to(socket.currentRoom).emit('update-cursor', {
-			...data,
-			user: socket.userInfo,
-		});
+		if (!socket.currentRoom || !allowEvent(socket, "cursor-move", CURSOR_RATE)) return
+		const cursor = normalizeCursor(data)
+		if (!cursor) return
+		socket.to(socket.currentRoom).emit('update-cursor', { ...cursor, user: socket.userInfo })
 	});
 
+	// Bong bóng chat cạnh con trỏ, không lưu lại; chuỗi rỗng là tắt bong bóng
+	socket.on('cursor-chat', (data) => {
+		if (!socket.currentRoom || !allowEvent(socket, "cursor-chat", CURSOR_CHAT_RATE)) return
+		if (!data || !isValidId(data.pageId) || typeof data.text !== "string") return
+		socket.to(socket.currentRoom).emit('cursor-chat', {
+			userId: socket.userInfo.id,
+			pageId: data.pageId,
+			text: data.text.slice(0, MAX_CURSOR_CHAT_LENGTH)
+		})
+	});
+
+	// Mỗi client gửi vùng đang nhìn khi camera đổi, để người khác đi theo (follow)
+	// và vẽ vùng đó trên minimap
 	socket.on('viewport-update', (data) => {
-		// Có thể dùng để đồng bộ viewport nếu cần
+		if (!socket.currentRoom) return
+		const viewport = normalizeViewport(data)
+		if (!viewport) return
+		socket.viewport = viewport
+		socket.to(socket.currentRoom).emit('viewport-updated', { userId: socket.userInfo.id, ...viewport })
 	});
 	
-	socket.on('kick-user', ({ roomId, userIdToKick }) => {
-		const board = readBoard(roomId);
-		if (board && board.owner === socket.userInfo.id) {
-			const memberToKick = board.members.find(m => m.id === userIdToKick);
-			if (memberToKick) {
-				// Lấy IP từ socket nếu có
-				const targetSocket = io.sockets.sockets.get(memberToKick.socketId);
-				if (targetSocket) {
-					const userIP = targetSocket.handshake.address;
-					if (!board.bannedIPs) board.bannedIPs = [];
-					board.bannedIPs.push(userIP); // Block IP
-					
-					targetSocket.emit('kicked', 'You have been kicked and banned from this room.');
-					targetSocket.disconnect();
-				}
-				
-				// Cập nhật trạng thái
-				memberToKick.status = 'offline';
-				writeBoard(roomId, board);
-				io.to(roomId).emit('update-members', board.members);
+	// Mời một thành viên ra khỏi phòng. Họ mất vai trò và chỉ vào lại được bằng link mời
+	// hoặc mật khẩu phòng, như người mới.
+	socket.on('kick-user', guarded(socket, "kick-user", (board, { roomId, userIdToKick }, respond) => {
+		const member = board.members.find(m => m.id === userIdToKick)
+		const error = checkRemovable(board, member)
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		removeMember(roomId, board, member.id, "You have been removed from this room.")
+		respond({ success: true })
+	}))
+
+	// Cấm một thành viên: như kick-user, và không vào lại được cho tới khi hết hạn hoặc được bỏ cấm.
+	// { userId, reason, duration, banIP }, `duration` là số ms, null là vĩnh viễn; `banIP` chặn cả
+	// IP hiện tại của thành viên, chỉ làm được khi họ đang online
+	// Người đã bị kick không còn trong danh sách thành viên nhưng vẫn cấm được theo tài khoản.
+	socket.on('ban-user', guarded(socket, "ban-user", async (board, { roomId, userId, reason, duration = null, banIP }, respond) => {
+		const member = board.members.find(m => m.id === userId)
+		let user = member
+		if (!member && isValidId(userId)) {
+			user = await storage.getUserById(userId)
+			const invalid = revalidate(socket, "ban-user", roomId, board)
+			if (invalid) {
+				return respond(invalid)
 			}
 		}
-	});
+		const error = user ? checkRemovable(board, user) : "User not found."
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		let ip = null
+		if (banIP === true) {
+			const target = member && roomSockets(roomId).find(s => s.userInfo.id === member.id)
+			if (!target) {
+				return respond({ success: false, message: "Only members who are online can be banned by IP." })
+			}
+			ip = target.clientIP
+			// Cấm IP của chính mình thì chặn luôn mọi người khác cùng mạng
+			if (ip === socket.clientIP) {
+				return respond({ success: false, message: "This member shares your IP address; ban their account only." })
+			}
+		}
+		const { ban, error: banError } = addBan(board, user, { ip, reason, duration, bannedBy: socket.userInfo.id })
+		if (banError) {
+			return respond({ success: false, message: banError })
+		}
+		rooms.touch(roomId, { meta: true })
+		if (member) removeMember(roomId, board, member.id, banMessage(ban))
+		respond({ success: true, ban })
+	}))
+
+	// Danh sách lệnh cấm còn hiệu lực, chỉ chủ phòng xem được
+	socket.on('list-bans', guarded(socket, "ban-user", (board, { roomId }, respond) => {
+		respond({ success: true, bans: activeBans(board) })
+	}))
+
+	socket.on('unban-user', guarded(socket, "ban-user", (board, { roomId, banId }, respond) => {
+		if (!removeBan(board, banId)) {
+			return respond({ success: false, message: "Ban not found." })
+		}
+		rooms.touch(roomId, { meta: true })
+		respond({ success: true })
+	}))
+
+	// Đổi vai trò thành viên; role "owner" nghĩa là chuyển quyền chủ phòng
+	socket.on('set-member-role', guarded(socket, "set-member-role", (board, { roomId, userId, role }, respond) => {
+		if (!ROLES.includes(role)) {
+			return respond({ success: false, message: "Invalid role." })
+		}
+		const member = board.members.find(m => m.id === userId)
+		if (!member) {
+			return respond({ success: false, message: "Member not found." })
+		}
+		if (member.id === board.owner) {
+			return respond({ success: false, message: "Transfer ownership to another member first." })
+		}
+		if (role === "owner") {
+			const previousOwner = board.members.find(m => m.id === board.owner)
+			if (previousOwner) previousOwner.role = "editor"
+			board.owner = member.id
+			board.ownerName = member.username
+		}
+		member.role = role
+		rooms.touch(roomId, { members: true, meta: role === "owner" })
+		respond({ success: true })
+		io.to(roomId).emit('update-members', board.members)
+	}))
+
+	// --- Invite Links ---
+	// Link mời chỉ chủ phòng thấy và quản lý. Thu hồi link không đuổi những người đã vào bằng link đó.
+	socket.on('list-invites', guarded(socket, "manage-invites", (board, { roomId }, respond) => {
+		respond({ success: true, invites: activeInvites(board).map(invite => inviteInfo(roomId, invite)), hasPassword: !!board.passwordHash })
+	}))
+
+	// { role, expiresIn, maxUses }, xem createInvite
+	socket.on('create-invite', guarded(socket, "manage-invites", (board, { roomId, role, expiresIn, maxUses }, respond) => {
+		const { invite, error } = createInvite(board, socket.userInfo, { role, expiresIn, maxUses })
+		if (error) {
+			return respond({ success: false, message: error })
+		}
+		rooms.touch(roomId, { invites: true })
+		respond({ success: true, invite: inviteInfo(roomId, invite) })
+	}))
+
+	socket.on('revoke-invite', guarded(socket, "manage-invites", (board, { roomId, token }, respond) => {
+		if (!revokeInvite(board, token)) {
+			return respond({ success: false, message: "Invite link not found." })
+		}
+		rooms.touch(roomId, { invites: true })
+		respond({ success: true })
+	}))
+
+	// Đặt mật khẩu phòng, `password` null là bỏ mật khẩu. Thành viên cũ vào lại không cần mật khẩu.
+	socket.on('set-room-password', guarded(socket, "set-room-password", (board, { roomId, password }, respond) => {
+		if (password === null) {
+			delete board.passwordHash
+		} else if (typeof password === "string" && password && password.length <= MAX_ROOM_PASSWORD_LENGTH) {
+			board.passwordHash = hashPassword(password)
+		} else {
+			return respond({ success: false, message: `Password must be 1 to ${MAX_ROOM_PASSWORD_LENGTH} characters.` })
+		}
+		rooms.touch(roomId, { meta: true })
+		respond({ success: true, hasPassword: !!board.passwordHash })
+	}))
 
 	// --- Disconnect ---
 	socket.on("disconnect", () => {
 		if (socket.currentRoom) {
-			const board = readBoard(socket.currentRoom)
-			if (board) {
-				const member = board.members.find(m => m.socketId === socket.id)
-				if (member) {
-					member.status = 'offline'
-					writeBoard(socket.currentRoom, board)
-					io.to(socket.currentRoom).emit('update-members', board.members)
-				}
-			}
+			leaveCurrentRoom(socket)
 		}
 	})
 })
 
+// Lý do không thể mời `member` ra khỏi phòng, hoặc null
+function checkRemovable(board, member) {
+	if (!member) return "Member not found."
+	if (member.id === board.owner) return "The owner cannot be removed."
+	return null
+}
+
+// Các socket đang ở trong phòng
+function roomSockets(roomId) {
+	return [...(io.sockets.adapter.rooms.get(roomId) || [])]
+		.map(socketId => io.sockets.sockets.get(socketId))
+		.filter(Boolean)
+}
+
+// Xóa `userId` khỏi danh sách thành viên và ngắt mọi socket của họ trong phòng, cùng
+// các socket khác vừa bị cấm theo IP. Socket bị ngắt rời phòng qua sự kiện disconnect.
+function removeMember(roomId, board, userId, message) {
+	board.members = board.members.filter(m => m.id !== userId)
+	rooms.touch(roomId, { members: true })
+	for (const s of roomSockets(roomId)) {
+		if (s.userInfo.id !== userId && !findBan(board, s.userInfo.id, s.clientIP)) continue
+		s.emit("kicked", message)
+		s.disconnect()
+	}
+	io.to(roomId).emit("update-members", board.members)
+}
+
+// Trả phòng về cho RoomStore; lỗi khi ghi board chỉ được ghi log
+function releaseRoom(roomId) {
+	rooms.release(roomId).catch(err => console.error(`Failed to save board ${roomId}:`, err))
+}
+
+// Đánh dấu offline, báo cho phòng và trả phòng về cho RoomStore.
+// Người dùng còn mở phòng ở tab khác thì vẫn online, với socketId của tab đó.
+function leaveCurrentRoom(socket) {
+	const roomId = socket.currentRoom
+	cancelLiveStrokes(socket, roomId)
+	socket.viewport = null
+	const otherTab = roomSockets(roomId).find(s => s.id !== socket.id && s.userInfo.id === socket.userInfo.id)
+	if (!otherTab) socket.to(roomId).emit("cursor-left", { userId: socket.userInfo.id })
+	const board = rooms.peek(roomId)
+	if (board) {
+		const member = board.members.find(m => m.id === socket.userInfo.id)
+		if (member && otherTab) {
+			member.socketId = otherTab.id
+		} else if (member) {
+			member.status = 'offline'
+			rooms.touch(roomId, { members: true })
+			io.to(roomId).emit('update-members', board.members)
+		}
+	}
+	socket.leave(roomId)
+	socket.currentRoom = null
+	releaseRoom(roomId)
+}
+
+// Đưa mọi người ra khỏi phòng (ví dụ khi phòng bị xóa) mà không trả phòng về cho
+// RoomStore; nơi gọi tự gỡ phòng khỏi bộ nhớ
+function closeRoom(roomId, message) {
+	const board = rooms.peek(roomId)
+	for (const socketId of [...(io.sockets.adapter.rooms.get(roomId) || [])]) {
+		const s = io.sockets.sockets.get(socketId)
+		if (!s) continue
+		const member = board && board.members.find(m => m.id === s.userInfo.id)
+		if (member) member.status = "offline"
+		cancelLiveStrokes(s, roomId)
+		s.viewport = null
+		s.leave(roomId)
+		s.currentRoom = null
+		s.emit("room-closed", message)
+	}
+	if (board) rooms.touch(roomId, { members: true })
+}
+
 // --- Cleanup ---
-setInterval(() => {
+// Board hết hạn vào thùng rác, board nằm trong thùng rác quá TRASH_RETENTION_DAYS ngày
+// bị xóa hẳn, rồi xóa các ảnh không còn board nào dùng. Bỏ luôn các lượt thử mật khẩu đã hồi đầy.
+setInterval(async () => {
 	const now = Date.now();
-	fs.readdir(BOARDS_DIR, (err, files) => {
-		if (err) return;
-		files.forEach(file => {
-			const board = readBoard(file.replace('.json', ''));
-			if (board && now > board.expiryDate) {
-				fs.unlink(getBoardPath(board.roomId), () => {
-					console.log(`Cleaned up expired board: ${board.roomId}`);
-				});
+	const usedAssets = new Set();
+	pruneBuckets(passwordAttempts, ROOM_PASSWORD_RATE);
+	try {
+		for (const roomId of await storage.listBoardIds()) {
+			const openBoard = rooms.peek(roomId);
+			if (openBoard) { // Phòng đang mở thì không xóa
+				collectAssetIds(openBoard, usedAssets);
+				continue;
 			}
-		});
-	});
+			const board = await storage.loadBoard(roomId);
+			if (!board) continue;
+			const expiry = boardExpiry(board);
+			// Có thể đã có người vào phòng trong lúc đang đọc board
+			if (expiry !== null && now > expiry && !rooms.isOpen(roomId)) {
+				await rooms.trash(roomId, now);
+				console.log(`Moved expired board to trash: ${roomId}`);
+			}
+			// Ảnh của board trong thùng rác được giữ để còn khôi phục
+			collectAssetIds(board, usedAssets);
+		}
+		for (const { roomId, deletedAt } of await storage.listTrash()) {
+			if (now - deletedAt > TRASH_RETENTION_DAYS * DAY) {
+				await storage.deleteBoard(roomId);
+				console.log(`Purged board from trash: ${roomId}`);
+				continue;
+			}
+			const board = await storage.loadTrashedBoard(roomId);
+			if (board) collectAssetIds(board, usedAssets);
+		}
+		// Ảnh không còn board nào dùng; ảnh vừa tải lên có thể chưa kịp được đặt lên board
+		for (const asset of await assets.list()) {
+			if (!usedAssets.has(asset.assetId) && now - asset.modified > ASSET_GRACE_PERIOD) {
+				await assets.delete(asset.assetId);
+				console.log(`Cleaned up unused image: ${asset.assetId}`);
+			}
+		}
+	} catch (err) {
+		console.error('Cleanup failed:', err);
+	}
 }, CLEANUP_INTERVAL);
 
+// --- Shutdown ---
+// Ghi hết các thay đổi đang chờ trước khi thoát; nhận thêm tín hiệu trong lúc đang ghi thì bỏ qua
+let shuttingDown = false
+async function shutdown() {
+	if (shuttingDown) return
+	shuttingDown = true
+	try {
+		await rooms.flushAll()
+	} catch (err) {
+		console.error("Failed to save boards on shutdown:", err)
+		process.exit(1)
+	}
+	process.exit(0)
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
+
 // --- Start Server ---
-server.listen(PORT, () => {
-	console.log(`vDraw Whiteboard Server running on port ${PORT}`)
+Promise.all([storage.init(), assets.init()]).then(() => {
+	server.listen(PORT, () => {
+		console.log(`vDraw Whiteboard Server running on port ${PORT}`)
+	})
 })
\ No newline at end of file
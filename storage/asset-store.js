@@ -0,0 +1,102 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+
+// Ảnh người dùng tải lên, lưu trong data/assets/<sha256>.<đuôi>.
+// Tên file là hash nội dung nên cùng một ảnh chỉ được lưu một lần,
+// và nội dung của một assetId không bao giờ đổi (cache được mãi).
+const MIME_TYPES = {
+	"image/png": "png",
+	"image/jpeg": "jpg",
+	"image/gif": "gif",
+	"image/webp": "webp"
+}
+
+function isValidAssetId(assetId) {
+	return typeof assetId === "string" && /^[0-9a-f]{64}$/.test(assetId)
+}
+
+// Nhận dạng ảnh qua mấy byte đầu file, không tin Content-Type client gửi
+function sniffMime(buffer) {
+	if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+		return "image/png"
+	}
+	if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+		return "image/jpeg"
+	}
+	const head = buffer.subarray(0, 12).toString("latin1")
+	if (head.startsWith("GIF87a") || head.startsWith("GIF89a")) return "image/gif"
+	if (head.startsWith("RIFF") && head.slice(8, 12) === "WEBP") return "image/webp"
+	return null
+}
+
+class AssetStore {
+	constructor(dir) {
+		this.dir = dir
+	}
+
+	async init() {
+		await fs.promises.mkdir(this.dir, { recursive: true })
+	}
+
+	getPath(assetId, mime) {
+		return path.join(this.dir, `${assetId}.${MIME_TYPES[mime]}`)
+	}
+
+	// Lưu ảnh, trả về { assetId, mime } hoặc null nếu không phải định dạng hỗ trợ
+	async save(buffer) {
+		const mime = sniffMime(buffer)
+		if (!mime) return null
+		const assetId = crypto.createHash("sha256").update(buffer).digest("hex")
+		const file = this.getPath(assetId, mime)
+		if (fs.existsSync(file)) {
+			// Ảnh đã có: cập nhật thời gian sửa để job dọn dẹp tính lại thời gian chờ từ lúc tải lên
+			// này, không thì ảnh cũ chưa board nào dùng có thể bị xóa trước khi kịp đặt lên board
+			const now = new Date()
+			await fs.promises.utimes(file, now, now)
+		} else {
+			const tmp = `${file}.${process.pid}.tmp`
+			await fs.promises.writeFile(tmp, buffer)
+			await fs.promises.rename(tmp, file)
+		}
+		return { assetId, mime }
+	}
+
+	// Tìm file của một ảnh -> { file, mime } | null
+	async find(assetId) {
+		if (!isValidAssetId(assetId)) return null
+		for (const mime of Object.keys(MIME_TYPES)) {
+			const file = this.getPath(assetId, mime)
+			try {
+				await fs.promises.access(file)
+				return { file, mime }
+			} catch (e) {
+				// Thử đuôi tiếp theo
+			}
+		}
+		return null
+	}
+
+	// Mọi ảnh đang lưu -> [{ assetId, modified }]
+	async list() {
+		const files = await fs.promises.readdir(this.dir)
+		const assets = []
+		for (const name of files) {
+			const [assetId, ext] = name.split(".")
+			if (!isValidAssetId(assetId) || !Object.values(MIME_TYPES).includes(ext)) continue
+			const stat = await fs.promises.stat(path.join(this.dir, name))
+			assets.push({ assetId, modified: stat.mtimeMs })
+		}
+		return assets
+	}
+
+	async delete(assetId) {
+		const asset = await this.find(assetId)
+		if (asset) await fs.promises.unlink(asset.file)
+	}
+}
+
+AssetStore.MIME_TYPES = MIME_TYPES
+AssetStore.isValidAssetId = isValidAssetId
+
+module.exports = AssetStore
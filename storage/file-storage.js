@@ -0,0 +1,172 @@
+const fs = require("fs")
+const path = require("path")
+const { upgradeBoard, pageList } = require("../lib/pages")
+
+// Lưu trữ bằng file JSON trong thư mục data/
+// - data/users.json: danh sách user
+// - data/boards/<ROOM>.json: mỗi board một file
+// - data/trash/<ROOM>.json: board trong thùng rác, thêm deletedAt
+class FileStorage {
+	constructor(dataDir) {
+		this.dataDir = dataDir
+		this.boardsDir = path.join(dataDir, "boards")
+		this.trashDir = path.join(dataDir, "trash")
+		this.usersFile = path.join(dataDir, "users.json")
+		this.users = null // Promise danh sách user, chỉ đọc file một lần
+		this.writes = new Map() // Hàng đợi ghi theo từng file
+	}
+
+	async init() {
+		await fs.promises.mkdir(this.boardsDir, { recursive: true })
+		await fs.promises.mkdir(this.trashDir, { recursive: true })
+		if (!fs.existsSync(this.usersFile)) {
+			await this.writeJson(this.usersFile, [])
+		}
+	}
+
+	// --- Users ---
+	loadUsers() {
+		if (!this.users) {
+			this.users = this.readJson(this.usersFile).then(users => users || [])
+		}
+		return this.users
+	}
+
+	async getUserByName(username) {
+		const users = await this.loadUsers()
+		return users.find(u => u.username === username) || null
+	}
+
+	async getUserById(id) {
+		const users = await this.loadUsers()
+		return users.find(u => u.id === id) || null
+	}
+
+	async createUser(user) {
+		const users = await this.loadUsers()
+		users.push(user)
+		await this.writeJson(this.usersFile, users)
+	}
+
+	async updateUser(user) {
+		const users = await this.loadUsers()
+		const index = users.findIndex(u => u.id === user.id)
+		if (index === -1) return
+		users[index] = user
+		await this.writeJson(this.usersFile, users)
+	}
+
+	// --- Boards ---
+	getBoardPath(roomId) {
+		return path.join(this.boardsDir, `${roomId}.json`)
+	}
+
+	// File của board cũ (chỉ có strokes) được đọc thành board một trang
+	async loadBoard(roomId) {
+		const board = await this.readJson(this.getBoardPath(roomId))
+		return board && upgradeBoard(board)
+	}
+
+	// Mỗi board là một file nên luôn ghi lại toàn bộ, bỏ qua `changes`
+	async saveBoard(roomId, board, changes) {
+		await this.writeJson(this.getBoardPath(roomId), board)
+	}
+
+	async deleteBoard(roomId) {
+		await fs.promises.rm(this.getBoardPath(roomId), { force: true })
+		await fs.promises.rm(this.getTrashPath(roomId), { force: true })
+	}
+
+	async hasBoard(roomId) {
+		return fs.existsSync(this.getBoardPath(roomId)) || fs.existsSync(this.getTrashPath(roomId))
+	}
+
+	async listBoardIds() {
+		return this.listRoomIds(this.boardsDir)
+	}
+
+	// Phải đọc hết các file board, như job dọn dẹp
+	async listBoardsOf(userId) {
+		const boards = []
+		for (const roomId of await this.listBoardIds()) {
+			const board = await this.loadBoard(roomId)
+			if (!board || (board.owner !== userId && !(board.members || []).some(m => m.id === userId))) continue
+			boards.push(summarize(board))
+		}
+		return boards
+	}
+
+	// --- Trash ---
+	getTrashPath(roomId) {
+		return path.join(this.trashDir, `${roomId}.json`)
+	}
+
+	async trashBoard(roomId, deletedAt) {
+		const board = await this.loadBoard(roomId)
+		if (!board) return
+		await this.writeJson(this.getTrashPath(roomId), { ...board, deletedAt })
+		await fs.promises.rm(this.getBoardPath(roomId), { force: true })
+	}
+
+	async restoreBoard(roomId) {
+		const board = await this.loadTrashedBoard(roomId)
+		if (!board) return
+		const { deletedAt, ...data } = board
+		await this.writeJson(this.getBoardPath(roomId), data)
+		await fs.promises.rm(this.getTrashPath(roomId), { force: true })
+	}
+
+	async loadTrashedBoard(roomId) {
+		const board = await this.readJson(this.getTrashPath(roomId))
+		return board && upgradeBoard(board)
+	}
+
+	async listTrash() {
+		const boards = []
+		for (const roomId of await this.listRoomIds(this.trashDir)) {
+			const board = await this.loadTrashedBoard(roomId)
+			if (board) boards.push(summarize(board))
+		}
+		return boards
+	}
+
+	// --- File Helpers ---
+	async listRoomIds(dir) {
+		const files = await fs.promises.readdir(dir)
+		return files.filter(f => f.endsWith(".json")).map(f => f.slice(0, -".json".length))
+	}
+
+	async readJson(file) {
+		try {
+			return JSON.parse(await fs.promises.readFile(file, "utf8"))
+		} catch (err) {
+			if (err.code === "ENOENT") return null
+			throw err
+		}
+	}
+
+	// Ghi ra file tạm rồi rename để không bao giờ để lại file ghi dở.
+	// Các lần ghi cùng một file được xếp hàng nối tiếp nhau.
+	writeJson(file, data) {
+		const json = JSON.stringify(data, null, 2)
+		const previous = this.writes.get(file) || Promise.resolve()
+		const next = previous.catch(() => {}).then(async () => {
+			const tmp = `${file}.${process.pid}.tmp`
+			await fs.promises.writeFile(tmp, json)
+			await fs.promises.rename(tmp, file)
+		})
+		this.writes.set(file, next)
+		next.finally(() => {
+			if (this.writes.get(file) === next) this.writes.delete(file)
+		}).catch(() => {})
+		return next
+	}
+}
+
+// Board không kèm phần tử của các trang, chỉ đếm số phần tử
+function summarize(board) {
+	const elementCount = board.pages.reduce((sum, page) => sum + Object.keys(page.strokes).length, 0)
+	return { ...board, pages: pageList(board), elementCount }
+}
+
+module.exports = FileStorage
@@ -0,0 +1,35 @@
+const path = require("path")
+const FileStorage = require("./file-storage")
+const SqliteStorage = require("./sqlite-storage")
+const RoomStore = require("./room-store")
+const AssetStore = require("./asset-store")
+
+// Mọi backend lưu trữ đều phải có các hàm async sau:
+//   init()
+//   getUserByName(username) / getUserById(id) -> user | null
+//   createUser(user) / updateUser(user)
+//   loadBoard(roomId) -> board (kèm members và pages, mỗi trang kèm strokes) | null;
+//     board cũ chỉ có strokes được trả về thành board một trang (lib/pages.js upgradeBoard)
+//   saveBoard(roomId, board, changes) - xem RoomStore.touch về `changes`
+//   deleteBoard(roomId) - xóa hẳn, kể cả board đang trong thùng rác
+//   hasBoard(roomId) -> true nếu ID đã được dùng, kể cả bởi board đang trong thùng rác
+//   listBoardIds() -> [roomId]
+//   listBoardsOf(userId) -> [board với pages không kèm strokes, thêm elementCount] của các phòng
+//     user sở hữu hoặc đã từng vào
+//   trashBoard(roomId, deletedAt) - chuyển board vào thùng rác; loadBoard, listBoardIds
+//     và listBoardsOf không thấy board trong thùng rác nữa
+//   restoreBoard(roomId) - đưa board từ thùng rác về
+//   loadTrashedBoard(roomId) -> board (kèm deletedAt) | null
+//   listTrash() -> [board với pages không kèm strokes, thêm elementCount và deletedAt]
+function createStorage({ type = "file", dataDir, sqliteFile }) {
+	switch (type) {
+		case "file":
+			return new FileStorage(dataDir)
+		case "sqlite":
+			return new SqliteStorage(sqliteFile || path.join(dataDir, "vdraw.db"))
+		default:
+			throw new Error(`Unknown storage type: ${type}`)
+	}
+}
+
+module.exports = { createStorage, FileStorage, SqliteStorage, RoomStore, AssetStore }
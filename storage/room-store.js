@@ -0,0 +1,189 @@
+// Cache trạng thái các phòng đang mở trong bộ nhớ.
+// Mọi handler thao tác trên cùng một object board, còn việc ghi xuống
+// storage được gom lại (debounce) thay vì ghi cả file sau mỗi sự kiện.
+class RoomStore {
+	constructor(storage, { saveDelay = 1000, unloadDelay = 0, onLoad = null, onUnload = null } = {}) {
+		this.storage = storage
+		this.saveDelay = saveDelay
+		this.unloadDelay = unloadDelay // Giữ phòng trống thêm một lúc cho người kết nối lại
+		this.onLoad = onLoad // Gọi khi board vừa được nạp vào bộ nhớ, ví dụ để nâng cấp dữ liệu cũ
+		this.onUnload = onUnload
+		this.rooms = new Map() // roomId -> { board, refs, timer, unloadTimer, saving, changes, pending }
+		this.loading = new Map() // roomId -> Promise đang load
+	}
+
+	// Board đang mở trong bộ nhớ (không load từ storage)
+	peek(roomId) {
+		const entry = this.rooms.get(roomId)
+		return entry ? entry.board : null
+	}
+
+	// Phòng đang mở trong bộ nhớ hoặc đang được nạp để mở
+	isOpen(roomId) {
+		return this.rooms.has(roomId) || this.loading.has(roomId)
+	}
+
+	// Các board đang mở trong bộ nhớ
+	openBoards() {
+		return [...this.rooms.values()].map(entry => entry.board)
+	}
+
+	// Đọc board mà không giữ nó trong cache
+	async load(roomId) {
+		return this.peek(roomId) || this.storage.loadBoard(roomId)
+	}
+
+	// Mở phòng và tăng số người đang dùng; trả về null nếu không tồn tại
+	async acquire(roomId) {
+		let entry = this.rooms.get(roomId)
+		if (!entry) {
+			if (!this.loading.has(roomId)) {
+				this.loading.set(roomId, this.storage.loadBoard(roomId).finally(() => this.loading.delete(roomId)))
+			}
+			const board = await this.loading.get(roomId)
+			if (!board) return null
+			entry = this.rooms.get(roomId)
+			if (!entry) {
+				entry = { board, refs: 0, timer: null, unloadTimer: null, saving: Promise.resolve(), changes: emptyChanges(), pending: false }
+				this.rooms.set(roomId, entry)
+				if (this.onLoad) this.onLoad(roomId, board)
+			}
+		}
+		entry.refs++
+		if (entry.unloadTimer) {
+			clearTimeout(entry.unloadTimer)
+			entry.unloadTimer = null
+		}
+		return entry.board
+	}
+
+	// Giảm số người dùng; khi về 0 thì ghi xuống và gỡ khỏi bộ nhớ
+	async release(roomId) {
+		const entry = this.rooms.get(roomId)
+		if (!entry) return
+		entry.refs = Math.max(0, entry.refs - 1)
+		if (entry.refs > 0) return
+		await this.flush(roomId)
+		if (this.unloadDelay > 0) {
+			if (entry.refs === 0 && !entry.unloadTimer) {
+				entry.unloadTimer = setTimeout(() => {
+					entry.unloadTimer = null
+					this.unload(roomId, entry).catch(err => console.error(`Failed to save board ${roomId}:`, err))
+				}, this.unloadDelay)
+			}
+			return
+		}
+		this.evict(roomId, entry)
+	}
+
+	async unload(roomId, entry) {
+		await this.flush(roomId)
+		this.evict(roomId, entry)
+	}
+
+	evict(roomId, entry) {
+		// Có thể đã có người vào lại trong lúc đang ghi
+		if (entry.refs === 0 && this.rooms.get(roomId) === entry) {
+			this.rooms.delete(roomId)
+			if (this.onUnload) this.onUnload(roomId)
+		}
+	}
+
+	// Đánh dấu board đã thay đổi và hẹn giờ ghi.
+	// `changes` cho backend biết phần nào cần ghi, có thể gộp nhiều phần:
+	//   { strokes: [id, ...] }  - chỉ các nét này, ở bất kỳ trang nào (thêm/sửa, hoặc xóa nếu không còn)
+	//   { members: true }       - danh sách thành viên
+	//   { meta: true }          - thông tin của board (tiêu đề, hạn dùng, danh sách trang, chủ phòng,
+	//                             mật khẩu, lệnh cấm...)
+	//   { history: [userId] }   - ngăn xếp undo/redo của những người này
+	//   { discussion: true }    - chat, bình luận và dấu đã đọc
+	//   { invites: true }       - link mời
+	//   {}                      - không phần nào, chỉ lastModified
+	// lastModified và revision lần nào cũng được ghi. Không truyền gì nghĩa là ghi lại toàn bộ board.
+	touch(roomId, changes) {
+		const entry = this.rooms.get(roomId)
+		if (!entry) return
+		entry.board.lastModified = Date.now()
+		this.markChanged(roomId, changes)
+		if (!entry.timer) {
+			entry.timer = setTimeout(() => {
+				this.flush(roomId).catch(err => console.error(`Failed to save board ${roomId}:`, err))
+			}, this.saveDelay)
+		}
+	}
+
+	// Như touch nhưng không đổi lastModified và không hẹn giờ: thay đổi được ghi cùng
+	// lần lưu kế tiếp, muộn nhất là khi phòng được trả về (release)
+	markChanged(roomId, changes) {
+		const entry = this.rooms.get(roomId)
+		if (!entry) return
+		mergeChanges(entry.changes, changes)
+		entry.pending = true
+	}
+
+	async flush(roomId) {
+		const entry = this.rooms.get(roomId)
+		if (!entry) return
+		if (entry.timer || entry.pending) {
+			clearTimeout(entry.timer)
+			entry.timer = null
+			entry.pending = false
+			const changes = entry.changes
+			entry.changes = emptyChanges()
+			entry.saving = entry.saving.catch(() => {}).then(() => this.storage.saveBoard(roomId, entry.board, changes))
+		}
+		await entry.saving
+	}
+
+	async flushAll() {
+		await Promise.all([...this.rooms.keys()].map(roomId => this.flush(roomId)))
+	}
+
+	// Ghi board mới thẳng xuống storage (chưa ai mở)
+	async create(roomId, board) {
+		await this.storage.saveBoard(roomId, board)
+	}
+
+	async delete(roomId) {
+		await this.remove(roomId)
+		await this.storage.deleteBoard(roomId)
+	}
+
+	// Chuyển board vào thùng rác, sau khi ghi nốt các thay đổi đang chờ
+	async trash(roomId, deletedAt) {
+		await this.flush(roomId)
+		await this.remove(roomId)
+		await this.storage.trashBoard(roomId, deletedAt)
+	}
+
+	// Gỡ phòng khỏi bộ nhớ ngay cả khi còn người dùng, bỏ các thay đổi chưa ghi
+	async remove(roomId) {
+		const entry = this.rooms.get(roomId)
+		if (!entry) return
+		clearTimeout(entry.timer)
+		clearTimeout(entry.unloadTimer)
+		this.rooms.delete(roomId)
+		if (this.onUnload) this.onUnload(roomId)
+		// Lần ghi đang chạy dở không được tạo lại board sau khi xóa
+		await entry.saving.catch(() => {})
+	}
+}
+
+function emptyChanges() {
+	return { all: false, members: false, meta: false, discussion: false, invites: false, strokes: new Set(), history: new Set() }
+}
+
+function mergeChanges(target, changes) {
+	if (!changes) {
+		target.all = true
+		return
+	}
+	for (const part of ["members", "meta", "discussion", "invites"]) {
+		if (changes[part]) target[part] = true
+	}
+	for (const part of ["strokes", "history"]) {
+		for (const id of changes[part] || []) target[part].add(id)
+	}
+}
+
+module.exports = RoomStore
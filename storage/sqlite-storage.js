@@ -0,0 +1,301 @@
+const fs = require("fs")
+const path = require("path")
+const { upgradeBoard, findPage, findPageOf, pageList } = require("../lib/pages")
+
+// Lưu trữ bằng SQLite (better-sqlite3).
+// Nét vẽ và thành viên nằm ở bảng riêng, nên thêm/xóa một nét chỉ
+// đụng tới đúng một dòng thay vì ghi lại cả board. Danh sách trang nằm trong
+// metadata của board, mỗi nét ghi trang của nó ở cột page_id.
+// Lịch sử undo/redo (mỗi người một dòng), chat, bình luận, dấu đã đọc và link mời nằm ở
+// bảng board_parts; lastModified và revision đổi sau mỗi thay đổi nên có cột riêng.
+// Nhờ vậy metadata chỉ được ghi lại khi chính nó thay đổi.
+// Board trong thùng rác vẫn nằm ở các bảng trên, chỉ thêm một dòng trong bảng trash.
+// Các trường của board lưu ở board_parts thay vì trong metadata. history được tách
+// thành từng dòng "history:<userId>".
+const DISCUSSION_PARTS = ["chat", "comments", "reads"]
+const PART_KEYS = ["history", ...DISCUSSION_PARTS, "invites"]
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS users (
+		id TEXT PRIMARY KEY,
+		username TEXT NOT NULL UNIQUE,
+		data TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS boards (
+		room_id TEXT PRIMARY KEY,
+		data TEXT NOT NULL
+	);
+	CREATE TABLE IF NOT EXISTS members (
+		room_id TEXT NOT NULL REFERENCES boards(room_id) ON DELETE CASCADE,
+		user_id TEXT NOT NULL,
+		data TEXT NOT NULL,
+		PRIMARY KEY (room_id, user_id)
+	);
+	CREATE TABLE IF NOT EXISTS strokes (
+		seq INTEGER PRIMARY KEY AUTOINCREMENT,
+		room_id TEXT NOT NULL REFERENCES boards(room_id) ON DELETE CASCADE,
+		stroke_id TEXT NOT NULL,
+		page_id TEXT,
+		data TEXT NOT NULL,
+		UNIQUE (room_id, stroke_id)
+	);
+	CREATE TABLE IF NOT EXISTS board_parts (
+		room_id TEXT NOT NULL REFERENCES boards(room_id) ON DELETE CASCADE,
+		part TEXT NOT NULL,
+		data TEXT NOT NULL,
+		PRIMARY KEY (room_id, part)
+	);
+	CREATE TABLE IF NOT EXISTS trash (
+		room_id TEXT PRIMARY KEY REFERENCES boards(room_id) ON DELETE CASCADE,
+		deleted_at INTEGER NOT NULL
+	);
+`
+
+class SqliteStorage {
+	constructor(file) {
+		this.file = file
+		this.db = null
+	}
+
+	async init() {
+		// Nạp lười để không bắt buộc cài better-sqlite3 khi dùng file JSON
+		const Database = require("better-sqlite3")
+		await fs.promises.mkdir(path.dirname(this.file), { recursive: true })
+		this.db = new Database(this.file)
+		this.db.pragma("journal_mode = WAL")
+		this.db.pragma("foreign_keys = ON")
+		this.db.exec(SCHEMA)
+		// Bảng strokes tạo từ trước khi có nhiều trang chưa có page_id; nét có page_id NULL thuộc trang đầu
+		if (!this.db.prepare("PRAGMA table_info(strokes)").all().some(c => c.name === "page_id")) {
+			this.db.exec("ALTER TABLE strokes ADD COLUMN page_id TEXT")
+		}
+		// Cột lastModified/revision có sau; NULL nghĩa là lấy giá trị trong metadata
+		if (!this.db.prepare("PRAGMA table_info(boards)").all().some(c => c.name === "last_modified")) {
+			this.db.exec("ALTER TABLE boards ADD COLUMN last_modified INTEGER")
+			this.db.exec("ALTER TABLE boards ADD COLUMN revision INTEGER")
+		}
+
+		const db = this.db
+		this.sql = {
+			userByName: db.prepare("SELECT data FROM users WHERE username = ?"),
+			userById: db.prepare("SELECT data FROM users WHERE id = ?"),
+			insertUser: db.prepare("INSERT INTO users (id, username, data) VALUES (?, ?, ?)"),
+			updateUser: db.prepare("UPDATE users SET username = ?, data = ? WHERE id = ?"),
+			board: db.prepare("SELECT data, last_modified, revision FROM boards WHERE room_id = ? AND room_id NOT IN (SELECT room_id FROM trash)"),
+			anyBoard: db.prepare("SELECT data, last_modified, revision FROM boards WHERE room_id = ?"),
+			legacyBoardIds: db.prepare(`SELECT room_id FROM boards
+				WHERE ${PART_KEYS.map(key => `json_type(data, '$.${key}') IS NOT NULL`).join(" OR ")}`),
+			boardExists: db.prepare("SELECT 1 FROM boards WHERE room_id = ?"),
+			boardIds: db.prepare("SELECT room_id FROM boards WHERE room_id NOT IN (SELECT room_id FROM trash)"),
+			boardsOf: db.prepare(`SELECT room_id, data, last_modified, revision, (SELECT COUNT(*) FROM strokes s WHERE s.room_id = b.room_id) AS element_count
+				FROM boards b
+				WHERE (json_extract(data, '$.owner') = ? OR room_id IN (SELECT room_id FROM members WHERE user_id = ?))
+					AND room_id NOT IN (SELECT room_id FROM trash)`),
+			trashedBoard: db.prepare("SELECT data, last_modified, revision, deleted_at FROM boards JOIN trash USING (room_id) WHERE room_id = ?"),
+			trashedBoards: db.prepare(`SELECT room_id, data, last_modified, revision, deleted_at, (SELECT COUNT(*) FROM strokes s WHERE s.room_id = b.room_id) AS element_count
+				FROM boards b JOIN trash USING (room_id)`),
+			insertTrash: db.prepare("INSERT OR REPLACE INTO trash (room_id, deleted_at) VALUES (?, ?)"),
+			deleteTrash: db.prepare("DELETE FROM trash WHERE room_id = ?"),
+			upsertBoard: db.prepare(`INSERT INTO boards (room_id, data) VALUES (?, ?)
+				ON CONFLICT (room_id) DO UPDATE SET data = excluded.data`),
+			updateBoardState: db.prepare("UPDATE boards SET last_modified = ?, revision = ? WHERE room_id = ?"),
+			deleteBoard: db.prepare("DELETE FROM boards WHERE room_id = ?"),
+			parts: db.prepare("SELECT part, data FROM board_parts WHERE room_id = ?"),
+			upsertPart: db.prepare(`INSERT INTO board_parts (room_id, part, data) VALUES (?, ?, ?)
+				ON CONFLICT (room_id, part) DO UPDATE SET data = excluded.data`),
+			deletePart: db.prepare("DELETE FROM board_parts WHERE room_id = ? AND part = ?"),
+			deleteParts: db.prepare("DELETE FROM board_parts WHERE room_id = ?"),
+			members: db.prepare("SELECT data FROM members WHERE room_id = ? ORDER BY rowid"),
+			insertMember: db.prepare("INSERT INTO members (room_id, user_id, data) VALUES (?, ?, ?)"),
+			deleteMembers: db.prepare("DELETE FROM members WHERE room_id = ?"),
+			strokes: db.prepare("SELECT page_id, data FROM strokes WHERE room_id = ? ORDER BY seq"),
+			upsertStroke: db.prepare(`INSERT INTO strokes (room_id, stroke_id, page_id, data) VALUES (?, ?, ?, ?)
+				ON CONFLICT (room_id, stroke_id) DO UPDATE SET page_id = excluded.page_id, data = excluded.data`),
+			deleteStroke: db.prepare("DELETE FROM strokes WHERE room_id = ? AND stroke_id = ?"),
+			deleteStrokes: db.prepare("DELETE FROM strokes WHERE room_id = ?")
+		}
+		this.saveBoardTx = db.transaction((roomId, board, changes) => this.writeBoard(roomId, board, changes))
+
+		// Board lưu trước khi có board_parts giữ lịch sử, chat... trong metadata: chuyển sang board_parts
+		db.transaction(() => {
+			for (const { room_id: roomId } of this.sql.legacyBoardIds.all()) {
+				this.writeBoard(roomId, this.readBoard(roomId, this.sql.anyBoard.get(roomId)))
+			}
+		})()
+	}
+
+	// --- Users ---
+	async getUserByName(username) {
+		const row = this.sql.userByName.get(username)
+		return row ? JSON.parse(row.data) : null
+	}
+
+	async getUserById(id) {
+		const row = this.sql.userById.get(id)
+		return row ? JSON.parse(row.data) : null
+	}
+
+	async createUser(user) {
+		this.sql.insertUser.run(user.id, user.username, JSON.stringify(user))
+	}
+
+	async updateUser(user) {
+		this.sql.updateUser.run(user.username, JSON.stringify(user), user.id)
+	}
+
+	// --- Boards ---
+	async loadBoard(roomId) {
+		const row = this.sql.board.get(roomId)
+		return row ? this.readBoard(roomId, row) : null
+	}
+
+	// Board đầy đủ từ một dòng của bảng boards (data, last_modified, revision)
+	readBoard(roomId, row) {
+		const board = parseMeta(row)
+		for (const r of this.sql.parts.all(roomId)) {
+			const [key, userId] = r.part.split(":")
+			if (key === "history") {
+				if (!board.history) board.history = {}
+				board.history[userId] = JSON.parse(r.data)
+			} else {
+				board[key] = JSON.parse(r.data)
+			}
+		}
+		// Sau lịch sử, để upgradeBoard gắn trang cho các bước undo/redo của board cũ
+		upgradeBoard(board)
+		board.members = this.sql.members.all(roomId).map(r => JSON.parse(r.data))
+		for (const r of this.sql.strokes.all(roomId)) {
+			const stroke = JSON.parse(r.data)
+			const page = (r.page_id && findPage(board, r.page_id)) || board.pages[0]
+			page.strokes[stroke.id] = stroke
+		}
+		return board
+	}
+
+	async saveBoard(roomId, board, changes) {
+		this.saveBoardTx(roomId, board, changes)
+	}
+
+	async deleteBoard(roomId) {
+		this.sql.deleteBoard.run(roomId)
+	}
+
+	// Bảng boards giữ cả board trong thùng rác
+	async hasBoard(roomId) {
+		return !!this.sql.boardExists.get(roomId)
+	}
+
+	async listBoardIds() {
+		return this.sql.boardIds.all().map(r => r.room_id)
+	}
+
+	async listBoardsOf(userId) {
+		return this.sql.boardsOf.all(userId, userId).map(r => this.summarize(r))
+	}
+
+	// --- Trash ---
+	async trashBoard(roomId, deletedAt) {
+		if (this.sql.board.get(roomId)) this.sql.insertTrash.run(roomId, deletedAt)
+	}
+
+	async restoreBoard(roomId) {
+		this.sql.deleteTrash.run(roomId)
+	}
+
+	async loadTrashedBoard(roomId) {
+		const row = this.sql.trashedBoard.get(roomId)
+		return row ? { ...this.readBoard(roomId, row), deletedAt: row.deleted_at } : null
+	}
+
+	async listTrash() {
+		return this.sql.trashedBoards.all().map(r => ({ ...this.summarize(r), deletedAt: r.deleted_at }))
+	}
+
+	// Board với pages không kèm strokes từ một dòng có room_id, data, last_modified, revision và element_count
+	summarize(row) {
+		const board = upgradeBoard(parseMeta(row))
+		return {
+			...board,
+			pages: pageList(board),
+			members: this.sql.members.all(row.room_id).map(m => JSON.parse(m.data)),
+			elementCount: row.element_count
+		}
+	}
+
+	// Chạy trong transaction: luôn ghi lastModified và revision, còn lại chỉ ghi
+	// phần được đánh dấu trong `changes` (xem RoomStore.touch)
+	writeBoard(roomId, board, changes) {
+		const { pages, members, history, chat, comments, reads, invites, ...meta } = board
+		const all = !changes || changes.all
+		if (all || changes.meta) {
+			this.sql.upsertBoard.run(roomId, JSON.stringify({ ...meta, pages: pageList(board) }))
+		}
+		this.sql.updateBoardState.run(board.lastModified || null, board.revision || null, roomId)
+
+		if (all) {
+			this.sql.deleteParts.run(roomId)
+			for (const userId in history || {}) {
+				this.sql.upsertPart.run(roomId, `history:${userId}`, JSON.stringify(history[userId]))
+			}
+		} else {
+			for (const userId of changes.history) {
+				if (history && history[userId]) {
+					this.sql.upsertPart.run(roomId, `history:${userId}`, JSON.stringify(history[userId]))
+				} else {
+					this.sql.deletePart.run(roomId, `history:${userId}`)
+				}
+			}
+		}
+		if (all || changes.discussion) {
+			for (const key of DISCUSSION_PARTS) this.writePart(roomId, key, board[key])
+		}
+		if (all || changes.invites) this.writePart(roomId, "invites", invites)
+
+		if (all || changes.members) {
+			this.sql.deleteMembers.run(roomId)
+			for (const member of members || []) {
+				this.sql.insertMember.run(roomId, member.id, JSON.stringify(member))
+			}
+		}
+
+		if (all) {
+			this.sql.deleteStrokes.run(roomId)
+			for (const page of pages) {
+				for (const id in page.strokes) {
+					this.sql.upsertStroke.run(roomId, id, page.id, JSON.stringify(page.strokes[id]))
+				}
+			}
+		} else {
+			for (const id of changes.strokes) {
+				const page = findPageOf(board, id)
+				if (page) {
+					this.sql.upsertStroke.run(roomId, id, page.id, JSON.stringify(page.strokes[id]))
+				} else {
+					this.sql.deleteStroke.run(roomId, id)
+				}
+			}
+		}
+	}
+
+	writePart(roomId, part, value) {
+		if (value === undefined) {
+			this.sql.deletePart.run(roomId, part)
+		} else {
+			this.sql.upsertPart.run(roomId, part, JSON.stringify(value))
+		}
+	}
+
+	close() {
+		if (this.db) this.db.close()
+	}
+}
+
+// Metadata của board, với lastModified và revision lấy từ cột riêng nếu đã có
+function parseMeta(row) {
+	const board = JSON.parse(row.data)
+	if (row.last_modified) board.lastModified = row.last_modified
+	if (row.revision) board.revision = row.revision
+	return board
+}
+
+module.exports = SqliteStorage